@@ -0,0 +1,199 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { SUBTITLE_EXTENSIONS } from './subtitle-loader.js';
+import { titlingRequest } from './titling-request.js';
+
+/**
+ * Automatic titling for unattended playout: follows the clip CasparCG plays on the session's layer and titles it with
+ * the subtitles found for it, or clears when a clip without subtitles starts.
+ *
+ * Subtitles are looked up, in order:
+ *   - in a JSON mapping table from clip name to a subtitle file, or to a titling request body as POST /titling takes it:
+ *       { "AMB": "subs/amb.vtt", "FILM": { "tracks": [{ "vttPath": "film-cs.vtt", "page": "888" }, { "vttPath": "film-en.vtt", "page": "889" }] } }
+ *     Clip names are matched without extension and case, against the whole clip path or its last folders;
+ *     relative subtitle paths are taken from the table's folder. The table is read again at every clip change.
+ *   - as a sidecar file: the clip path with a subtitle extension (e.g. AMB.mov → AMB.vtt) in the subtitle folder,
+ *     or next to the clip when CasparCG reports an absolute path.
+ *
+ * The session's time must come from one layer, named by its full address: with suffix matching the clip of whichever
+ * layer sent the time last would be titled.
+ */
+
+/** Time (or frame) address of one CasparCG layer's foreground clip */
+const LAYER_TIME_ADDRESS = /^\/channel\/\d+\/stage\/layer\/\d+\/foreground\/file\/(time|frame)$/;
+
+/**
+ * @param {{ timeAddress: string, anyTimeAddress?: boolean }} source - OSC address the session takes its time from
+ * @returns {string | null} why automatic titling cannot follow the layer, null if it can
+ */
+export function layerAddressError({ timeAddress, anyTimeAddress }) {
+  if (anyTimeAddress) return 'Automatic titling needs the time of one layer, not of any address ending in /time';
+  if (!LAYER_TIME_ADDRESS.test(timeAddress)) {
+    return `Automatic titling needs the full OSC address of one layer, such as /channel/1/stage/layer/1/foreground/file/time, not ${timeAddress}`;
+  }
+  return null;
+}
+
+/**
+ * @param {string} name - clip path or mapping table key
+ * @returns {string} lower case, "/" separated, without extension
+ */
+function clipKey(name) {
+  return name.replace(/\\/g, '/').replace(/\.[^./]*$/, '').toLowerCase();
+}
+
+/**
+ * @param {any} request - mapping table entry
+ * @param {string} dir - folder relative subtitle paths are taken from
+ */
+function resolvePaths(request, dir) {
+  if (typeof request === 'string') return { vttPath: path.resolve(dir, request) };
+  if (typeof request !== 'object' || request === null) return request;
+  const resolveTrack = (track) => {
+    const vttPath = track?.vttPath ?? track?.path;
+    return typeof vttPath === 'string' ? { ...track, vttPath: path.resolve(dir, vttPath) } : track;
+  };
+  const resolved = resolveTrack(request);
+  if (Array.isArray(request.tracks)) resolved.tracks = request.tracks.map(resolveTrack);
+  return resolved;
+}
+
+/**
+ * @param {string} clip
+ * @param {string} mappingFile
+ * @returns {Promise<any>} titling request body, null if the clip is not in the table
+ */
+async function mappedSubtitles(clip, mappingFile) {
+  let table;
+  try {
+    table = JSON.parse(await fs.readFile(mappingFile, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Cannot read subtitle mapping ${mappingFile}: ${err.message}`);
+  }
+  const key = clipKey(clip);
+  // The longest matching name wins, so "news/intro" is preferred to "intro"
+  let best = null;
+  for (const name of Object.keys(table)) {
+    const nameKey = clipKey(name);
+    if ((key === nameKey || key.endsWith('/' + nameKey)) && (!best || nameKey.length > clipKey(best).length)) best = name;
+  }
+  return best === null ? null : resolvePaths(table[best], path.dirname(mappingFile));
+}
+
+/**
+ * @param {string} clip
+ * @param {string} [subtitleDir]
+ * @returns {Promise<string | null>} path of the sidecar subtitle file, null if there is none
+ */
+async function findSidecar(clip, subtitleDir) {
+  const base = clip.replace(/\\/g, '/').replace(/\.[^./]*$/, '');
+  const bases = [];
+  if (subtitleDir) {
+    if (!path.isAbsolute(base)) bases.push(path.join(subtitleDir, base));
+    bases.push(path.join(subtitleDir, path.basename(base)));
+  }
+  if (path.isAbsolute(base)) bases.push(base);
+  for (const candidate of bases) {
+    for (const ext of SUBTITLE_EXTENSIONS) {
+      try {
+        await fs.access(candidate + ext);
+        return candidate + ext;
+      } catch {
+        // Not there: try the next extension
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {string} clip - clip path as CasparCG reports it, e.g. "AMB.mov"
+ * @param {{ mappingFile?: string, subtitleDir?: string }} [options]
+ * @returns {Promise<any>} titling request body, null if the clip has no subtitles
+ */
+export async function findClipSubtitles(clip, { mappingFile, subtitleDir } = {}) {
+  if (mappingFile) {
+    const request = await mappedSubtitles(clip, mappingFile);
+    if (request) return request;
+  }
+  const sidecar = await findSidecar(clip, subtitleDir);
+  return sidecar ? { vttPath: sidecar } : null;
+}
+
+export class AutoTitling {
+  #session;
+  #mappingFile;
+  #subtitleDir;
+  /** Clip on the layer, as CasparCG reports it */
+  #clip = null;
+  /** Subtitle files titled for the clip, null while it has none */
+  #subtitles = null;
+  /** Counts clip changes, so the lookup for a clip that has already been replaced is dropped */
+  #selection = 0;
+  /** Lookups run one at a time, in clip order */
+  #pending = Promise.resolve();
+  #onClip = ({ path: clip }) => {
+    const selection = ++this.#selection;
+    this.#pending = this.#pending.then(() => this.#select(clip, selection));
+  };
+
+  /**
+   * @param {import('./titling-session.js').TitlingSession} session
+   * @param {{ mappingFile?: string, subtitleDir?: string }} options
+   */
+  constructor(session, { mappingFile, subtitleDir }) {
+    this.#session = session;
+    this.#mappingFile = mappingFile;
+    this.#subtitleDir = subtitleDir;
+  }
+
+  get clip() {
+    return this.#clip;
+  }
+
+  get subtitles() {
+    return this.#subtitles;
+  }
+
+  start() {
+    this.#session.on('clip-changed', this.#onClip);
+  }
+
+  stop() {
+    this.#session.off('clip-changed', this.#onClip);
+    this.#selection++;
+  }
+
+  /**
+   * @param {string | null} clip
+   * @param {number} selection
+   */
+  async #select(clip, selection) {
+    if (selection !== this.#selection) return;
+    this.#clip = clip;
+    this.#subtitles = null;
+    let request = null;
+    try {
+      request = clip ? await findClipSubtitles(clip, { mappingFile: this.#mappingFile, subtitleDir: this.#subtitleDir }) : null;
+    } catch (err) {
+      console.error('[Auto]', err.message);
+    }
+    if (selection !== this.#selection) return;
+
+    const parsed = request ? titlingRequest(request) : null;
+    if (parsed?.error) console.error('[Auto] Subtitles for clip', clip + ':', parsed.error);
+    if (!parsed || parsed.error) {
+      if (clip && !parsed) console.log('[Auto] No subtitles for clip', clip);
+      if (this.#session.titlingActive) this.#session.stop();
+      return;
+    }
+    try {
+      // Unattended playout always follows the clip's own time
+      await this.#session.loadTracks(parsed.tracks, { timeMode: 'osc' });
+      this.#subtitles = parsed.tracks.map((track) => track.path);
+      console.log('[Auto] Titling clip', clip, 'with', this.#subtitles.join(', '));
+    } catch (err) {
+      console.error('[Auto] Cannot title clip', clip + ':', err.message);
+    }
+  }
+}
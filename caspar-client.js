@@ -1,30 +1,67 @@
 import net from 'node:net';
 import { Buffer } from 'node:buffer';
+import { EventEmitter } from 'node:events';
 import WSTEncoder from './wst-encoder.js';
+import { TeletextDecoder } from './wst-decoder.js';
 
-
-export class CasparClient {
+/**
+ * CasparCG AMCP connection sending OP47 packets.
+ * Emits "connect" and "disconnect" when the connection comes up or is lost (not for failed reconnection attempts).
+ */
+export class CasparClient extends EventEmitter {
   #host;
   #port;
   #channelLayer;
   #socket = null;
-  #encoder = new WSTEncoder();
+  #encoder;
+  #decoder = new TeletextDecoder();
+  /** @type {import('./wst-decoder.js').DecodedPage | undefined} */
+  #lastPage;
+  /** Page transmissions waiting for VANC space: each entry is one page's packets, kept contiguous */
+  #queue = [];
+  #packetBudget;
+  #frameMs;
+  #flushTimer = null;
+  #lastFlush = 0;
   #reconnectDelay = 2000;
   #reconnectTimer = null;
+  /** Set by disconnect() so the closing socket is not reconnected */
+  #closing = false;
+  /** True once the current socket has connected */
+  #established = false;
 
-  constructor({ host = 'localhost', port = 5250, channelLayer = '1-301' } = {}) {
+  /**
+   * @param {{ host?: string, port?: number, channelLayer?: string, encoder?: ConstructorParameters<typeof WSTEncoder>[0], packetBudget?: number, frameRate?: number }} [options]
+   *   encoder: WSTEncoder options; packetBudget: teletext packets per frame (an OP-47 SDP packet carries 5); frameRate: frames per second
+   */
+  constructor({ host = 'localhost', port = 5250, channelLayer = '1-301', encoder = {}, packetBudget = 5, frameRate = 25 } = {}) {
+    super();
     this.#host = host;
     this.#port = port;
     this.#channelLayer = channelLayer;
+    this.#encoder = new WSTEncoder(encoder);
+    this.#packetBudget = Math.max(1, packetBudget);
+    this.#frameMs = 1000 / frameRate;
+  }
+
+  /**
+   * Replace the packet encoder, e.g. to switch the page language.
+   * @param {ConstructorParameters<typeof WSTEncoder>[0]} options - WSTEncoder options
+   */
+  configureEncoder(options) {
+    this.#encoder = new WSTEncoder(options);
   }
 
   connect() {
     if (this.#socket) return;
+    this.#closing = false;
     this.#socket = new net.Socket();
     this.#socket.setEncoding('utf8');
 
     this.#socket.on('connect', () => {
       console.log('[Caspar] Connected to', this.#host + ':' + this.#port);
+      this.#established = true;
+      this.emit('connect');
     });
 
     this.#socket.on('data', (data) => {
@@ -38,6 +75,11 @@ export class CasparClient {
 
     this.#socket.on('close', () => {
       this.#socket = null;
+      if (this.#established) {
+        this.#established = false;
+        this.emit('disconnect');
+      }
+      if (this.#closing) return;
       console.log('[Caspar] Disconnected, reconnecting in', this.#reconnectDelay, 'ms');
       this.#reconnectTimer = setTimeout(() => this.connect(), this.#reconnectDelay);
     });
@@ -46,6 +88,13 @@ export class CasparClient {
   }
 
   disconnect() {
+    this.#closing = true;
+    if (this.#flushTimer) {
+      clearTimeout(this.#flushTimer);
+      this.#flushTimer = null;
+    }
+    // Pages still queued (e.g. the clear on stop) go out now
+    while (this.#queue.length) this.#flush();
     if (this.#reconnectTimer) {
       clearTimeout(this.#reconnectTimer);
       this.#reconnectTimer = null;
@@ -63,22 +112,83 @@ export class CasparClient {
   /**
    * Send subtitle lines (max 2 lines, each max 40 chars for WST).
    * @param {string[]} lines
+   * @param {{ startRow?: number, endRow?: number, align?: 'start' | 'center' | 'end', position?: number, doubleHeight?: boolean, erase?: boolean, changed?: number[] }} [options]
+   *   layout and in-place updates, see WSTEncoder.encodeSubtitle
    */
-  sendTitle(lines) {
-    if (!this.#socket || this.#socket.destroyed) return;
-    const packets = this.#encoder.encodeSubtitle(lines);
-    const payload = packets.map((data) => Buffer.from(data).toString('base64')).join(' ');
-    const cmd = `APPLY ${this.#channelLayer} OP47 ${payload}\r\n`;
-    this.#socket.write(cmd);
+  sendTitle(lines, options = {}) {
+    this.sendPackets(this.#encoder.encodeSubtitle(lines, options));
   }
 
   /**
    * Clear current subtitle by sending an empty OP47 packet with erase flag set.
    */
   clearTitle() {
-    if (!this.#socket || this.#socket.destroyed) return;
-    const packets = this.#encoder.encodeSubtitle([]);
+    this.sendPackets(this.#encoder.encodeSubtitle([]));
+  }
+
+  /**
+   * Queue one page transmission. Packets go out in APPLY commands of at most packetBudget packets, one command per frame;
+   * pages queued in the same frame share a command when they fit, and a page's packets are never interleaved with another page's.
+   * @param {Uint8Array[]} packets - packets of one page, header first
+   */
+  sendPackets(packets) {
+    if (!this.#socket || this.#socket.destroyed || !packets.length) return;
+    this.#queue.push([...packets]);
+    // Wait for the pages queued in the same turn, and at most one command per frame
+    if (!this.#flushTimer) this.#scheduleFlush(Math.max(0, this.#lastFlush + this.#frameMs - Date.now()));
+  }
+
+  /**
+   * Decoded pages, as a decoder shows them from the packets sent so far.
+   * @returns {import('./wst-decoder.js').DecodedPage[]}
+   */
+  get pages() {
+    return this.#decoder.pages;
+  }
+
+  /**
+   * @param {number} magazine - 1–8
+   * @param {number} page - 0x00–0xFF
+   * @returns {import('./wst-decoder.js').DecodedPage | undefined}
+   */
+  page(magazine, page) {
+    return this.#decoder.page(magazine, page);
+  }
+
+  /**
+   * The page as a decoder shows it, decoded from the packets last sent.
+   * @returns {import('./wst-decoder.js').DecodedPage | undefined} undefined until something was sent
+   */
+  get lastPage() {
+    return this.#lastPage;
+  }
+
+  #scheduleFlush(delay) {
+    this.#flushTimer = setTimeout(() => {
+      this.#flushTimer = null;
+      this.#flush();
+      if (this.#queue.length) this.#scheduleFlush(this.#frameMs);
+    }, delay);
+  }
+
+  /** Send the next frame's worth of queued packets. */
+  #flush() {
+    const batch = [];
+    while (this.#queue.length && batch.length < this.#packetBudget) {
+      const page = this.#queue[0];
+      const room = this.#packetBudget - batch.length;
+      // A page that does not fit starts in a frame of its own, and carries on over the following frames
+      if (page.length > room && batch.length) break;
+      batch.push(...page.splice(0, room));
+      if (!page.length) this.#queue.shift();
+    }
+    this.#lastFlush = Date.now();
+    if (batch.length && this.#socket && !this.#socket.destroyed) this.#apply(batch);
+  }
+
+  #apply(packets) {
     const payload = packets.map((data) => Buffer.from(data).toString('base64')).join(' ');
     this.#socket.write(`APPLY ${this.#channelLayer} OP47 ${payload}\r\n`);
+    this.#lastPage = this.#decoder.decodePackets(packets).at(-1) ?? this.#lastPage;
   }
 }
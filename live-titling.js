@@ -0,0 +1,180 @@
+import { textToLines, textToPages } from './titling-engine.js';
+
+/**
+ * Live subtitles from respeakers or stenographers: text pushed as it is produced, wrapped like file subtitles and shown in order.
+ * In block mode each page stays on air for at least the minimum display time and later text waits in a queue.
+ * In roll-up mode words are appended to the bottom row straight away and the rows scroll up when it is full;
+ * only the rows that changed are sent, without erasing the page.
+ * Either way the subtitle is cleared once nothing new has arrived for the idle timeout.
+ */
+
+const DEFAULT_MIN_DISPLAY_S = 1.5;
+const DEFAULT_IDLE_TIMEOUT_S = 5;
+/** Bottom row of the roll-up area when no row is given: where two line block subtitles end */
+const ROLL_UP_END_ROW = 20;
+
+/**
+ * @typedef {Object} LiveOptions
+ * @property {number} [minDisplay=1.5] - seconds each page stays on air before the next one is shown
+ * @property {number} [idleTimeout=5] - seconds after the last page is shown before it is cleared; 0 keeps it on air
+ * @property {'block' | 'rollup'} [mode='block']
+ * @property {number} [rollUpRows=3] - rows visible in roll-up mode, 2–4
+ *
+ * @typedef {Object} LiveLayout
+ * @property {number} [row] - teletext row of the first line (encoder default if omitted; in roll-up mode the top of the area)
+ * @property {'start' | 'center' | 'end'} [align] - centred by default, left aligned in roll-up mode
+ * @property {boolean} [doubleHeight]
+ */
+
+export class LiveTitling {
+  #caspar;
+  #minDisplayMs;
+  #idleTimeoutMs;
+  /** @type {{ lines: string[], layout: LiveLayout }[]} */
+  #queue = [];
+  /** Date.now() when the page on air was sent; 0 when nothing is on air */
+  #shownAt = 0;
+  #nextTimer = null;
+  #idleTimer = null;
+  #mode;
+  #rollUpRows;
+  /** Roll-up mode: the rows on air, top first, and the layout they were sent with */
+  #rollUp = { rows: [], layout: null };
+
+  /**
+   * @param {import('./caspar-client.js').CasparClient} caspar
+   * @param {LiveOptions} [options]
+   */
+  constructor(caspar, { minDisplay = DEFAULT_MIN_DISPLAY_S, idleTimeout = DEFAULT_IDLE_TIMEOUT_S, mode = 'block', rollUpRows = 3 } = {}) {
+    if (mode !== 'block' && mode !== 'rollup') throw new Error('Live mode must be "block" or "rollup"');
+    if (!(Number.isInteger(rollUpRows) && rollUpRows >= 2 && rollUpRows <= 4)) throw new Error('Roll-up rows must be 2-4');
+    this.#caspar = caspar;
+    this.#minDisplayMs = minDisplay * 1000;
+    this.#idleTimeoutMs = idleTimeout * 1000;
+    this.#mode = mode;
+    this.#rollUpRows = rollUpRows;
+  }
+
+  get mode() {
+    return this.#mode;
+  }
+
+  get rollUpRows() {
+    return this.#rollUpRows;
+  }
+
+  /** True while a live subtitle is on air or waiting to be shown */
+  get active() {
+    return this.#shownAt > 0 || this.#queue.length > 0;
+  }
+
+  /** Pages waiting for the one on air to reach its minimum display time */
+  get queued() {
+    return this.#queue.length;
+  }
+
+  /**
+   * Queue text for display.
+   * @param {string} text
+   * @param {LiveLayout} [layout]
+   * @returns {number} pages the text was wrapped into; in roll-up mode, rows scrolled in
+   */
+  push(text, layout = {}) {
+    if (this.#mode === 'rollup') return this.#rollUpText(text, layout);
+    const pages = textToPages(text, layout);
+    for (const lines of pages) this.#queue.push({ lines, layout });
+    if (!this.#nextTimer) this.#showNext();
+    return pages.length;
+  }
+
+  /** Drop queued text and clear the subtitle on air. */
+  clear() {
+    const onAir = this.#shownAt > 0;
+    this.stop();
+    if (onAir) this.#caspar.clearTitle();
+  }
+
+  /** Drop queued text and timers, leaving the subtitle on air to its owner. */
+  stop() {
+    this.#queue = [];
+    this.#cancelTimers();
+    this.#shownAt = 0;
+    this.#rollUp = { rows: [], layout: null };
+  }
+
+  #cancelTimers() {
+    clearTimeout(this.#nextTimer);
+    clearTimeout(this.#idleTimer);
+    this.#nextTimer = null;
+    this.#idleTimer = null;
+  }
+
+  /**
+   * Append text to the bottom row, scrolling the rows above up as it wraps.
+   * @param {string} text
+   * @param {LiveLayout} layout
+   * @returns {number} new rows
+   */
+  #rollUpText(text, layout) {
+    const previous = this.#rollUp;
+    const bottom = previous.rows.at(-1);
+    const lines = textToLines(bottom ? `${bottom} ${text}` : text, layout);
+    const rows = [...previous.rows.slice(0, -1), ...lines].slice(-this.#rollUpRows);
+    this.#rollUp = { rows, layout };
+
+    // Rows fill the area from the bottom; the rows above are blank until the text scrolls up into them
+    const area = (list) => [...Array(this.#rollUpRows - list.length).fill(''), ...list];
+    const shown = area(rows);
+    const before = area(previous.rows);
+    const rowStep = layout.doubleHeight ? 2 : 1;
+    const endRow = layout.row !== undefined ? layout.row + this.#rollUpRows * rowStep - 1 : ROLL_UP_END_ROW;
+    // A new layout, or nothing on air: start from an erased page
+    const erase = !this.#shownAt || !previous.layout
+      || ['row', 'align', 'doubleHeight'].some((key) => previous.layout[key] !== layout[key]);
+    this.#caspar.sendTitle(shown, {
+      endRow,
+      align: layout.align ?? 'start',
+      doubleHeight: layout.doubleHeight,
+      erase,
+      changed: shown.flatMap((row, i) => (row !== before[i] ? [i] : [])),
+    });
+    this.#shownAt = Date.now();
+    this.#startIdleTimer();
+    return lines.length - (bottom ? 1 : 0);
+  }
+
+  #startIdleTimer() {
+    clearTimeout(this.#idleTimer);
+    this.#idleTimer = null;
+    if (this.#idleTimeoutMs <= 0) return;
+    this.#idleTimer = setTimeout(() => {
+      this.#idleTimer = null;
+      this.clear();
+    }, Math.max(this.#minDisplayMs, this.#idleTimeoutMs));
+  }
+
+  /** Show the next queued page once the page on air has had its minimum display time. */
+  #showNext() {
+    if (!this.#queue.length) return;
+    const wait = this.#shownAt + this.#minDisplayMs - Date.now();
+    if (this.#shownAt && wait > 0) {
+      this.#nextTimer = setTimeout(() => {
+        this.#nextTimer = null;
+        this.#showNext();
+      }, wait);
+      return;
+    }
+
+    const { lines, layout } = this.#queue.shift();
+    this.#caspar.sendTitle(lines, { startRow: layout.row, align: layout.align, doubleHeight: layout.doubleHeight });
+    this.#shownAt = Date.now();
+
+    if (this.#queue.length) {
+      clearTimeout(this.#idleTimer);
+      this.#idleTimer = null;
+      this.#showNext();
+    } else {
+      this.#startIdleTimer();
+    }
+  }
+}
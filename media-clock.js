@@ -0,0 +1,96 @@
+import { performance } from 'node:perf_hooks';
+
+/**
+ * Media clock between OSC updates. CasparCG sends the clip time at irregular intervals (and UDP adds jitter), so the time
+ * is extrapolated from the last update with the local monotonic clock at the observed playback rate.
+ * Updates that land near the prediction only nudge the clock (smoothing jitter), and the rate follows the updates slowly;
+ * an update far off the prediction (a seek, loop or clip change) or a standstill snaps the clock to it.
+ */
+
+/** Updates further than this from the prediction are a jump, not jitter */
+const SNAP_S = 0.25;
+/** Share of the prediction error corrected at each update */
+const PHASE_GAIN = 0.2;
+/** Share of the difference to the measured rate taken at each update */
+const RATE_GAIN = 0.05;
+/** Updates closer together than this (e.g. in one bundle) tell nothing about the rate */
+const MIN_RATE_INTERVAL_MS = 10;
+/** The clock stops this far after the last update, rather than run on with no news */
+const MAX_EXTRAPOLATION_S = 0.5;
+
+export class MediaClock {
+  /** Clock reading at a monotonic time: { time, at } in seconds and performance.now() milliseconds; null before the first update */
+  #anchor = null;
+  /** Last update as received */
+  #last = null;
+  /** Media seconds per second; 0 while the time stands still */
+  #rate = 1;
+  /** Highest time read since the last snap, so smoothing never runs the clock backwards */
+  #highest = null;
+
+  /** Observed playback rate: 1 at normal speed, 0 while paused */
+  get rate() {
+    return this.#anchor ? this.#rate : 0;
+  }
+
+  /**
+   * Take in a time received from CasparCG.
+   * @param {number} time - seconds
+   * @param {number} [at] - performance.now() when it was received
+   */
+  update(time, at = performance.now()) {
+    const last = this.#last;
+    this.#last = { time, at };
+    if (!last || !this.#anchor) return this.#snap(time, at, 1);
+    // Standing still (paused, or the last frame of a clip), or moving again after it
+    if (time === last.time) return this.#snap(time, at, 0);
+    if (this.#rate === 0) return this.#snap(time, at, 1);
+
+    const predicted = this.#extrapolate(at);
+    const error = time - predicted;
+    if (Math.abs(error) > SNAP_S) return this.#snap(time, at, this.#rate);
+    const interval = at - last.at;
+    if (interval >= MIN_RATE_INTERVAL_MS) {
+      const measured = (time - last.time) / (interval / 1000);
+      // Reordered or repeated packets give nonsense rates; only plausible ones are followed
+      if (measured > 0 && measured < 4) this.#rate += RATE_GAIN * (measured - this.#rate);
+    }
+    this.#anchor = { time: predicted + PHASE_GAIN * error, at };
+  }
+
+  /**
+   * @param {number} [at] - performance.now()
+   * @returns {number | null} media time in seconds, null before the first update
+   */
+  now(at = performance.now()) {
+    if (!this.#anchor) return null;
+    const time = Math.max(this.#extrapolate(at), this.#highest ?? -Infinity);
+    this.#highest = time;
+    return time;
+  }
+
+  /** Forget the time, e.g. when another clip starts; now() is null until the next update. */
+  reset() {
+    this.#anchor = null;
+    this.#last = null;
+    this.#highest = null;
+    this.#rate = 1;
+  }
+
+  /** @param {number} at */
+  #extrapolate(at) {
+    const elapsed = Math.min(Math.max(0, at - this.#anchor.at) / 1000, MAX_EXTRAPOLATION_S);
+    return this.#anchor.time + elapsed * this.#rate;
+  }
+
+  /**
+   * @param {number} time
+   * @param {number} at
+   * @param {number} rate
+   */
+  #snap(time, at, rate) {
+    this.#anchor = { time, at };
+    this.#rate = rate;
+    this.#highest = null;
+  }
+}
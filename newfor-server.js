@@ -0,0 +1,243 @@
+import net from 'node:net';
+import { Buffer } from 'node:buffer';
+import WSTEncoder from './wst-encoder.js';
+import { hammingDecodeNybble, hasOddParity } from './parity.js';
+
+/**
+ * NEWFOR server: subtitle workstations (prepared or live subtitling) connect over TCP and build, reveal and clear
+ * a subtitle page, which goes straight to CasparCG as OP47, without a subtitle file.
+ *
+ * Messages start with a type byte with odd parity (BUILD is sent as 0x8F, CLEAR as 0x98); "Hamming" is a Hamming 8/4 coded nybble.
+ *   CONNECT   0x0E  1 Hamming byte (not used)
+ *   PAGE SET  0x0D  3 Hamming bytes: magazine (0 = 8), page tens, page units
+ *   BUILD     0x0F  1 Hamming byte with the row count, then per row 2 Hamming bytes (row number, high nybble first)
+ *                   and 40 characters with odd parity, teletext coded by the workstation
+ *   REVEAL    0x10  show the page built last
+ *   CLEAR     0x18  erase the page
+ * Each message is answered with ACK, or NACK when it cannot be decoded, or when BUILD, REVEAL or CLEAR would write to
+ * a page the session is titling from a file or live text.
+ * A workstation holds the page from REVEAL until it clears it or disconnects.
+ */
+
+const MessageType = {
+  CONNECT: 0x0E,
+  PAGE_SET: 0x0D,
+  BUILD: 0x0F,
+  REVEAL: 0x10,
+  CLEAR: 0x18,
+};
+
+const ACK = 0x06;
+const NACK = 0x15;
+
+/** Bytes of one row in a BUILD message: row number and 40 characters */
+const ROW_LENGTH = 2 + 40;
+
+/**
+ * @typedef {Object} Connection
+ * @property {net.Socket} socket
+ * @property {Buffer} buffer - received bytes not yet handled
+ * @property {WSTEncoder} encoder - encoder for the page this workstation subtitles
+ * @property {{ row: number, data: number[] }[] | null} built - rows of the last BUILD, shown on REVEAL
+ * @property {boolean} onAir - a revealed page is on air
+ */
+
+/**
+ * @param {Buffer} buffer - starts with a message type byte
+ * @returns {number | null | undefined} message length; undefined if more bytes are needed to tell, null if the message is invalid
+ */
+function messageLength(buffer) {
+  switch (buffer[0] & 0x7F) {
+    case MessageType.CONNECT: return 2;
+    case MessageType.PAGE_SET: return 4;
+    case MessageType.REVEAL:
+    case MessageType.CLEAR: return 1;
+    case MessageType.BUILD: {
+      if (buffer.length < 2) return undefined;
+      const count = hammingDecodeNybble(buffer[1]);
+      return count ? 2 + count.value * ROW_LENGTH : null;
+    }
+    default: return null;
+  }
+}
+
+/**
+ * @param {ArrayLike<number>} bytes - Hamming 8/4 coded nybbles, most significant first
+ * @returns {number | null} null on an uncorrectable error
+ */
+function hammingDecode(bytes) {
+  let value = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    const nybble = hammingDecodeNybble(bytes[i]);
+    if (!nybble) return null;
+    value = (value << 4) | nybble.value;
+  }
+  return value;
+}
+
+/**
+ * @param {Buffer} message - a complete BUILD message
+ * @returns {{ rows?: { row: number, data: number[] }[], parityErrors?: number, error?: string }}
+ */
+function decodeBuild(message) {
+  const rows = [];
+  let parityErrors = 0;
+  for (let offset = 2; offset < message.length; offset += ROW_LENGTH) {
+    const row = hammingDecode(message.subarray(offset, offset + 2));
+    if (row === null) return { error: 'Uncorrectable row number' };
+    if (row < 1 || row > 24) return { error: `Row ${row} out of range` };
+    // Characters with a parity error are shown as spaces
+    const data = Array.from(message.subarray(offset + 2, offset + ROW_LENGTH), (byte) => {
+      if (hasOddParity(byte)) return byte & 0x7F;
+      parityErrors++;
+      return 0x20;
+    });
+    rows.push({ row, data });
+  }
+  return { rows, parityErrors };
+}
+
+export class NewforServer {
+  #port;
+  #caspar;
+  #encoderOptions;
+  #busy;
+  #server = null;
+  /** @type {Set<Connection>} */
+  #connections = new Set();
+
+  /**
+   * @param {{ port: number, caspar: import('./caspar-client.js').CasparClient, encoder?: ConstructorParameters<typeof WSTEncoder>[0], busy?: () => string | undefined }} options
+   *   caspar: client the pages are sent with; encoder: WSTEncoder options, the page until a workstation sets one;
+   *   busy: why the page cannot be written now (another kind of titling is active), undefined when it can
+   */
+  constructor({ port, caspar, encoder = {}, busy = () => undefined }) {
+    this.#port = port;
+    this.#caspar = caspar;
+    this.#encoderOptions = { ...encoder };
+    this.#busy = busy;
+  }
+
+  get port() {
+    return this.#port;
+  }
+
+  /** Number of connected workstations */
+  get connections() {
+    return this.#connections.size;
+  }
+
+  /** True while a workstation has a page on air */
+  get active() {
+    return [...this.#connections].some((connection) => connection.onAir);
+  }
+
+  listen() {
+    if (this.#server) return;
+    this.#server = net.createServer((socket) => this.#accept(socket));
+    this.#server.on('error', (err) => {
+      console.error('[NEWFOR] Server error:', err.message);
+    });
+    this.#server.listen(this.#port, () => {
+      console.log('[NEWFOR] Listening on port', this.#port);
+    });
+  }
+
+  close() {
+    this.#connections.forEach(({ socket }) => socket.destroy());
+    this.#connections.clear();
+    this.#server?.close();
+    this.#server = null;
+  }
+
+  /** @param {net.Socket} socket */
+  #accept(socket) {
+    /** @type {Connection} */
+    const connection = { socket, buffer: Buffer.alloc(0), encoder: new WSTEncoder(this.#encoderOptions), built: null, onAir: false };
+    this.#connections.add(connection);
+    console.log('[NEWFOR] Connection from', socket.remoteAddress);
+
+    socket.on('data', (data) => {
+      connection.buffer = Buffer.concat([connection.buffer, data]);
+      this.#receive(connection);
+    });
+    socket.on('error', (err) => {
+      console.error('[NEWFOR] Socket error:', err.message);
+    });
+    socket.on('close', () => {
+      this.#connections.delete(connection);
+      console.log('[NEWFOR] Connection closed');
+    });
+  }
+
+  /**
+   * Handle every complete message received so far.
+   * @param {Connection} connection
+   */
+  #receive(connection) {
+    while (connection.buffer.length) {
+      const length = messageLength(connection.buffer);
+      if (length === undefined || length > connection.buffer.length) return;
+      if (length === null) {
+        // The message boundaries are lost: drop what we have and wait for the next message
+        console.error('[NEWFOR] Invalid message type 0x' + connection.buffer[0].toString(16).padStart(2, '0'));
+        connection.buffer = Buffer.alloc(0);
+        connection.socket.write(Uint8Array.of(NACK));
+        return;
+      }
+      const message = connection.buffer.subarray(0, length);
+      connection.buffer = connection.buffer.subarray(length);
+      const error = this.#handle(connection, message);
+      if (error) console.error('[NEWFOR]', error);
+      connection.socket.write(Uint8Array.of(error ? NACK : ACK));
+    }
+  }
+
+  /**
+   * @param {Connection} connection
+   * @param {Buffer} message
+   * @returns {string | undefined} error message
+   */
+  #handle(connection, message) {
+    const type = message[0] & 0x7F;
+    if (type === MessageType.BUILD || type === MessageType.REVEAL || type === MessageType.CLEAR) {
+      const busy = this.#busy();
+      if (busy) return busy;
+    }
+    switch (type) {
+      case MessageType.CONNECT:
+        return undefined;
+
+      case MessageType.PAGE_SET: {
+        const magazine = hammingDecode(message.subarray(1, 2));
+        const page = hammingDecode(message.subarray(2, 4));
+        if (magazine === null || page === null) return 'Uncorrectable page number';
+        if (page === 0xFF) return 'Page xFF cannot carry subtitles';
+        // Magazine 8 is sent as 0
+        connection.encoder = new WSTEncoder({ ...this.#encoderOptions, magazine: magazine & 0x07, page });
+        connection.built = null;
+        return undefined;
+      }
+
+      case MessageType.BUILD: {
+        const { rows, parityErrors, error } = decodeBuild(message);
+        if (error) return error;
+        if (parityErrors) console.warn('[NEWFOR]', parityErrors, 'characters with parity errors shown as spaces');
+        connection.built = rows;
+        return undefined;
+      }
+
+      case MessageType.REVEAL:
+        if (!connection.built) return 'Nothing built to reveal';
+        this.#caspar.sendPackets(connection.encoder.encodeRows(connection.built));
+        connection.onAir = true;
+        return undefined;
+
+      case MessageType.CLEAR:
+        this.#caspar.sendPackets(connection.encoder.encodeRows([]));
+        connection.onAir = false;
+        return undefined;
+    }
+    return undefined;
+  }
+}
@@ -1,15 +1,222 @@
+import { EventEmitter } from 'node:events';
 import { Server } from 'node-osc';
+import { frameRate as toFrameRate, framesToSeconds, isTimecode, timecodeToFrames } from './timecode.js';
 
 /**
  * OSC receiver that listens for time (seconds) from CasparCG Server.
  * Configure CasparCG to send OSC to this host:port (e.g. OSC output in CasparCG server config).
  * CasparCG often sends e.g. /channel/1/stage/layer/1/foreground/file/time with a float (seconds).
+ *
+ * Time sources also follow the clip on the layer (.../foreground/file/path), its paused flag (.../foreground/paused)
+ * and whether time is still arriving, and emit:
+ *   clip-changed { path, previous } - another clip started on the layer (previous null for the first one seen, path null when none plays)
+ *   looped { from, to } - time jumped backwards on the same clip: it looped or was seeked back
+ *   paused, playing - the layer's paused flag changed
+ *   stalled, recovered - time stopped advancing while not paused, and started again
  */
 
 const DEFAULT_OSC_PORT = 6250;
 const DEFAULT_TIME_ADDRESS = '/channel/1/stage/layer/1/foreground/file/time';
+const DEFAULT_FRAME_ADDRESS = '/channel/1/stage/layer/1/foreground/file/frame';
+/** Seconds without time advancing before a source counts as stalled */
+const DEFAULT_STALL_TIMEOUT_S = 2;
+/** A step back in time smaller than this is taken as reordered UDP, not a jump */
+const JUMP_BACK_S = 0.5;
 const DEBUG = process.env.DEBUG_OSC === '1' || process.env.DEBUG_OSC === 'true';
 
+/** One OSC server per UDP port, shared by every time source listening on it: port → { server, handlers } */
+const receivers = new Map();
+
+/**
+ * @param {number} port
+ * @param {(msg: any[]) => void} handler - called with [address, ...args] for every message, bundles unpacked
+ */
+function addReceiver(port, handler) {
+  let receiver = receivers.get(port);
+  if (!receiver) {
+    const server = new Server(port, '0.0.0.0', () => {
+      console.log('[OSC] Listening on port', port);
+    });
+    receiver = { server, handlers: new Set() };
+    const dispatch = (msg) => receiver.handlers.forEach((h) => h(msg));
+    server.on('message', dispatch);
+    server.on('bundle', (bundle) => {
+      const elements = bundle.elements || [];
+      for (const el of elements) {
+        if (Array.isArray(el)) dispatch(el);
+        else if (el && typeof el.address === 'string' && Array.isArray(el.args)) {
+          const vals = el.args.map((a) => (a && a.value !== undefined ? a.value : a));
+          dispatch([el.address].concat(vals));
+        }
+      }
+    });
+    server.on('error', (err) => {
+      console.error('[OSC] Error:', err.message);
+    });
+    receivers.set(port, receiver);
+  }
+  receiver.handlers.add(handler);
+}
+
+/**
+ * @param {number} port
+ * @returns {boolean} true if more than one time source listens on the port
+ */
+function receiverShared(port) {
+  return (receivers.get(port)?.handlers.size ?? 0) > 1;
+}
+
+function removeReceiver(port, handler) {
+  const receiver = receivers.get(port);
+  if (!receiver) return;
+  receiver.handlers.delete(handler);
+  if (!receiver.handlers.size) {
+    receiver.server.close();
+    receivers.delete(port);
+  }
+}
+
+/**
+ * @param {string} address - time or frame address
+ * @returns {string | null} the layer's foreground address (e.g. /channel/1/stage/layer/1/foreground), null if the address is not a layer's
+ */
+function foregroundAddress(address) {
+  const m = /^(.*\/foreground)\/file\/(time|frame)$/.exec(address);
+  return m ? m[1] : null;
+}
+
+/**
+ * Clip, paused and stall state of a layer, shared by both kinds of time source.
+ * @param {EventEmitter} source - emits the events
+ * @param {object} options
+ * @param {string | null} options.foreground - the layer's foreground address, null to follow time only
+ * @param {number} options.stallTimeout - seconds; 0 never stalls
+ */
+function createLayerState(source, { foreground, stallTimeout }) {
+  const state = { path: null, paused: false, stalled: false, time: null, lastUpdate: null };
+  let stallTimer = null;
+
+  const matches = (address, suffix) => foreground && address.endsWith(foreground + suffix);
+
+  function armStallTimer() {
+    if (stallTimeout <= 0 || state.paused) return;
+    if (stallTimer) {
+      stallTimer.refresh();
+      return;
+    }
+    stallTimer = setTimeout(() => {
+      stallTimer = null;
+      if (state.paused || state.stalled) return;
+      state.stalled = true;
+      console.warn('[OSC] Time stalled at', state.time);
+      source.emit('stalled', { time: state.time });
+    }, stallTimeout * 1000);
+  }
+
+  function cancelStallTimer() {
+    clearTimeout(stallTimer);
+    stallTimer = null;
+  }
+
+  return {
+    state,
+    /**
+     * Take in a path or paused flag message.
+     * @param {string} address - without trailing slashes
+     * @param {any} value - first argument
+     * @returns {boolean} true if the message was one
+     */
+    handleMessage(address, value) {
+      if (matches(address, '/file/path')) {
+        const path = typeof value === 'string' && value ? value : null;
+        if (path !== state.path) {
+          const previous = state.path;
+          state.path = path;
+          // The time received so far was the previous clip's
+          if (previous !== null) state.time = null;
+          if (DEBUG) console.log('[OSC] clip changed:', previous, '->', path);
+          source.emit('clip-changed', { path, previous });
+        }
+        return true;
+      }
+      if (matches(address, '/paused')) {
+        const paused = value === true || value === 1 || value === 'true';
+        if (paused !== state.paused) {
+          state.paused = paused;
+          if (paused) cancelStallTimer();
+          else if (state.time !== null) armStallTimer();
+          source.emit(paused ? 'paused' : 'playing', { time: state.time });
+        }
+        return true;
+      }
+      return false;
+    },
+    /**
+     * Take in a time.
+     * @param {number} time - seconds
+     * @param {() => void} notify - tells the onTime callback, before any event about the time is emitted
+     */
+    updateTime(time, notify) {
+      const previous = state.time;
+      state.time = time;
+      state.lastUpdate = Date.now();
+      notify();
+      if (time === previous) return;
+      armStallTimer();
+      if (state.stalled) {
+        state.stalled = false;
+        console.log('[OSC] Time advancing again at', time);
+        source.emit('recovered', { time });
+      }
+      if (previous !== null && time < previous - JUMP_BACK_S) source.emit('looped', { from: previous, to: time });
+    },
+    /**
+     * Follow another layer, e.g. the one a suffix matched time now comes from. Its clip is not known until CasparCG sends it.
+     * @param {string | null} address - the layer's foreground address
+     */
+    follow(address) {
+      if (address === foreground) return;
+      foreground = address;
+      state.time = null;
+      if (state.paused) {
+        state.paused = false;
+        source.emit('playing', { time: null });
+      }
+      if (state.path !== null) {
+        const previous = state.path;
+        state.path = null;
+        source.emit('clip-changed', { path: null, previous });
+      }
+    },
+    close() {
+      cancelStallTimer();
+    },
+  };
+}
+
+/**
+ * Methods both time sources have.
+ * @param {ReturnType<typeof createLayerState>} layer
+ */
+function layerMethods(layer) {
+  return {
+    /** @returns {number | null} Date.now() when the time was last received, null if never */
+    getLastUpdate() {
+      return layer.state.lastUpdate;
+    },
+    /** @returns {string | null} file path of the clip on the layer, null until CasparCG sends one */
+    getPath() {
+      return layer.state.path;
+    },
+    isPaused() {
+      return layer.state.paused;
+    },
+    isStalled() {
+      return layer.state.stalled;
+    },
+  };
+}
+
 function parseTimeArg(v) {
   if (typeof v === 'number' && !Number.isNaN(v)) return v;
   if (typeof v === 'string') {
@@ -23,29 +230,49 @@ function parseTimeArg(v) {
  * @param {object} options
  * @param {number} [options.port]
  * @param {string} [options.timeAddress] - OSC address that carries current time in seconds (elapsed). Matched by exact string or by suffix (e.g. .../file/time).
+ * @param {boolean} [options.anyTimeAddress=true] - also accept another address ending in /time, while no other source listens on the port
+ *   (another source's layer time would be taken as this one's). The first such address is followed, clip and paused flag included,
+ *   until time arrives at the configured address
+ * @param {number} [options.stallTimeout=2] - seconds without time advancing (while not paused) before the source stalls; 0 never stalls
+ * @param {(seconds: number) => void} [options.onTime] - called with each time received
+ * Sources on the same port share one OSC server. The source is an EventEmitter (see the events above).
  */
 export function createOSCTimeSource(options = {}) {
   const port = options.port !== undefined ? options.port : (parseInt(process.env.OSC_PORT, 10) || DEFAULT_OSC_PORT);
   const timeAddress = options.timeAddress !== undefined ? options.timeAddress : (process.env.OSC_TIME_ADDRESS || DEFAULT_TIME_ADDRESS);
   const timeAddressNorm = timeAddress.replace(/\/+$/, '');
-  const matchBySuffix = timeAddressNorm.endsWith('/time');
+  const matchBySuffix = options.anyTimeAddress !== false && timeAddressNorm.endsWith('/time');
 
-  let currentTimeSeconds = null;
-  const oscServer = new Server(port, '0.0.0.0', () => {
-    console.log('[OSC] Listening on port', port, 'for time at address:', timeAddressNorm, matchBySuffix ? '(suffix match)' : '');
+  const source = new EventEmitter();
+  const layer = createLayerState(source, {
+    foreground: foregroundAddress(timeAddressNorm),
+    stallTimeout: options.stallTimeout ?? DEFAULT_STALL_TIMEOUT_S,
   });
+  console.log('[OSC] Time source on port', port, 'at address:', timeAddressNorm, matchBySuffix ? '(suffix match)' : '');
+
+  /** Address the time is taken from: the first one heard, until the configured address is heard if that was another */
+  let followed = null;
+  let followedConfigured = false;
 
   function addressMatches(addr) {
     if (!addr || typeof addr !== 'string') return false;
     const a = addr.replace(/\/+$/, '');
-    if (a === timeAddressNorm) return true;
-    if (matchBySuffix && a.endsWith('/time')) return true;
-    if (a.endsWith(timeAddressNorm)) return true;
-    return false;
+    const configured = a === timeAddressNorm || a.endsWith(timeAddressNorm);
+    if (!configured && !(matchBySuffix && a.endsWith('/time') && !receiverShared(port))) return false;
+    // One layer at a time: the clip, paused flag and time of two layers playing would be taken in turns
+    if (followed !== null && a !== followed && (followedConfigured || !configured)) return false;
+    if (a !== followed) {
+      followed = a;
+      followedConfigured = configured;
+      layer.follow(foregroundAddress(a));
+      if (!configured) console.log('[OSC] Following the time at', a);
+    }
+    return true;
   }
 
   function handleMessage(msg) {
     const address = msg && msg[0];
+    if (typeof address === 'string' && layer.handleMessage(address.replace(/\/+$/, ''), msg[1])) return;
     if (!addressMatches(address)) {
       if (DEBUG && msg && msg.length > 1) console.log('[OSC] skip address:', address, 'first arg:', msg[1]);
       return;
@@ -53,34 +280,94 @@ export function createOSCTimeSource(options = {}) {
     if (msg.length > 1) {
       const v = parseTimeArg(msg[1]);
       if (v !== null) {
-        currentTimeSeconds = v;
-        if (DEBUG) console.log('[OSC] time updated:', currentTimeSeconds, 'from', address);
+        layer.updateTime(v, () => options.onTime?.(v));
+        if (DEBUG) console.log('[OSC] time updated:', v, 'from', address);
       } else if (DEBUG) console.log('[OSC] unparseable time at', address, 'arg:', msg[1], typeof msg[1]);
     } else if (DEBUG) console.log('[OSC] no arg at', address);
   }
 
-  oscServer.on('message', handleMessage);
-  oscServer.on('bundle', (bundle) => {
-    const elements = bundle.elements || [];
-    for (const el of elements) {
-      if (Array.isArray(el)) handleMessage(el);
-      else if (el && typeof el.address === 'string' && Array.isArray(el.args)) {
-        const vals = el.args.map((a) => (a && a.value !== undefined ? a.value : a));
-        handleMessage([el.address].concat(vals));
-      }
-    }
+  addReceiver(port, handleMessage);
+
+  return Object.assign(source, {
+    port,
+    timeAddress: timeAddressNorm,
+    getTime() {
+      return layer.state.time;
+    },
+    ...layerMethods(layer),
+    close() {
+      removeReceiver(port, handleMessage);
+      layer.close();
+    },
   });
+}
+
+/**
+ * OSC receiver for frame accurate time: a frame count (CasparCG sends e.g. /channel/1/stage/layer/1/foreground/file/frame
+ * with the current and total frame) or an SMPTE timecode string such as "10:00:00:00".
+ * @param {object} options
+ * @param {string | number | import('./timecode.js').FrameRate} options.frameRate - e.g. "25" or "29.97df"
+ * @param {number} [options.port]
+ * @param {string} [options.frameAddress] - OSC address carrying the frame count or timecode, matched exactly or by suffix
+ * @param {number} [options.stallTimeout=2] - seconds without time advancing (while not paused) before the source stalls; 0 never stalls
+ * @param {(seconds: number, frame: number) => void} [options.onTime] - called with each time received
+ * Like createOSCTimeSource, the source is an EventEmitter.
+ */
+export function createOSCTimecodeSource(options) {
+  const rate = toFrameRate(options.frameRate);
+  const port = options.port !== undefined ? options.port : (parseInt(process.env.OSC_PORT, 10) || DEFAULT_OSC_PORT);
+  const frameAddress = (options.frameAddress ?? DEFAULT_FRAME_ADDRESS).replace(/\/+$/, '');
 
-  oscServer.on('error', (err) => {
-    console.error('[OSC] Error:', err.message);
+  let currentFrame = null;
+  const source = new EventEmitter();
+  const layer = createLayerState(source, {
+    foreground: foregroundAddress(frameAddress),
+    stallTimeout: options.stallTimeout ?? DEFAULT_STALL_TIMEOUT_S,
   });
+  console.log('[OSC] Timecode source on port', port, 'at address:', frameAddress, 'at', rate.name, 'fps');
 
-  return {
+  function handleMessage(msg) {
+    const address = typeof msg?.[0] === 'string' ? msg[0].replace(/\/+$/, '') : null;
+    if (!address || layer.handleMessage(address, msg[1])) return;
+    if (!address.endsWith(frameAddress) || msg.length < 2) return;
+    const v = msg[1];
+    let frame = null;
+    if (typeof v === 'number' && Number.isFinite(v)) frame = Math.floor(v);
+    else if (isTimecode(v)) {
+      try {
+        frame = timecodeToFrames(v, rate);
+      } catch {
+        // e.g. a frame number the frame rate does not have
+      }
+    }
+    else if (typeof v === 'string' && /^\d+$/.test(v)) frame = parseInt(v, 10);
+    if (frame === null) {
+      if (DEBUG) console.log('[OSC] unparseable frame at', address, 'arg:', v, typeof v);
+      return;
+    }
+    currentFrame = frame;
+    if (DEBUG) console.log('[OSC] frame updated:', currentFrame, 'from', address);
+    const seconds = framesToSeconds(frame, rate);
+    layer.updateTime(seconds, () => options.onTime?.(seconds, frame));
+  }
+
+  addReceiver(port, handleMessage);
+
+  return Object.assign(source, {
+    port,
+    timeAddress: frameAddress,
+    frameRate: rate.name,
+    /** @returns {number | null} seconds at the start of the current frame */
     getTime() {
-      return currentTimeSeconds;
+      return layer.state.time;
+    },
+    getFrame() {
+      return layer.state.time === null ? null : currentFrame;
     },
+    ...layerMethods(layer),
     close() {
-      oscServer.close();
+      removeReceiver(port, handleMessage);
+      layer.close();
     },
-  };
+  });
 }
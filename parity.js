@@ -19,14 +19,34 @@ export function hammingEncodeNybble(nybble) {
   return HammingTable[nybble & 0x0F]
 }
 
+/**
+ * Number of bits that differ between two values
+ */
+function bitDistance(a, b) {
+  let n = a ^ b;
+  let count = 0;
+  for (; n; n >>= 1) count += n & 1;
+  return count;
+}
+
+/**
+ * Decode a Hamming 8/4 byte, correcting a single bit error.
+ * @param {number} byte Hamming 8/4 encoded byte
+ * @returns {{ value: number, corrected: boolean } | null} The decoded nybble, or null if the byte has an uncorrectable (double bit) error
+ */
+export function hammingDecodeNybble(byte) {
+  const distances = HammingTable.map((code) => bitDistance(code, byte & 0xFF));
+  const value = distances.indexOf(Math.min(...distances));
+  if (distances[value] > 1) return null;
+  return { value, corrected: distances[value] === 1 };
+}
+
 /**
  * @param {number[]} tripple Array of three bytes representing the hamming encoded byte tripple
- * @returns {number} The decoded 18-bit value
+ * @returns {number} The decoded 18-bit value, without error correction (see hammingCorrect24)
  */
 export function hammingDecodeTripple(tripple) {
 
-  // Don't think the error correction is needed
-
   const bits12_18 = (tripple[2] & bitmask(7)) << 11;
   const bits5_11 = (tripple[1] & bitmask(7)) << 4;
   const bits2_4 = (tripple[0] & (bitmask(3) << 4)) >> 3;
@@ -57,6 +77,26 @@ export function hammingEncode24(value) {
   return [byte1, byte2, byte3];
 }
 
+/**
+ * Decode a Hamming 24/18 tripple, correcting a single bit error.
+ * @param {number[]} tripple Array of three bytes representing the hamming encoded byte tripple
+ * @returns {{ value: number, corrected: boolean } | null} The decoded 18-bit value, or null if more than one bit is wrong
+ */
+export function hammingCorrect24(tripple) {
+  const matches = (bytes) => {
+    const encoded = hammingEncode24(hammingDecodeTripple(bytes));
+    return encoded.every((b, i) => b === bytes[i]);
+  };
+  if (matches(tripple)) return { value: hammingDecodeTripple(tripple), corrected: false };
+
+  for (let i = 0; i < 24; i++) {
+    const flipped = Array.from(tripple);
+    flipped[i >> 3] ^= 1 << (i & 7);
+    if (matches(flipped)) return { value: hammingDecodeTripple(flipped), corrected: true };
+  }
+  return null;
+}
+
 /**
  * Pre-build table of all values up to 127 with an odd parity bit applied.
  */
@@ -86,3 +126,8 @@ export function applyParity(data) {
   }
   return OddParityTable127[data & 0x7f];
 }
+
+/** @returns {boolean} true if the byte has odd parity */
+export function hasOddParity(byte) {
+  return OddParityTable127[byte & 0x7f] === (byte & 0xFF);
+}
@@ -0,0 +1,238 @@
+import { Colour, attributePrefix, attributeState, isSpacingAttribute } from './teletext-attributes.js';
+
+/**
+ * Subtitle segmentation the way subtitlers do it: cue text is split into pages of balanced lines, broken at sentence and
+ * clause boundaries rather than after an article or preposition, and each page is given enough time to be read
+ * (a minimum duration and a maximum reading speed), borrowing time from the gaps around the cue where there is some.
+ */
+
+/**
+ * Words that should not end a line, by language: articles, prepositions and conjunctions belong with the words after them.
+ * Languages not listed have none unless a list is given.
+ */
+export const WEAK_LINE_ENDS = {
+  en: ['a', 'an', 'the', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with', 'from', 'into', 'onto', 'about', 'and', 'or', 'but', 'nor', 'if', 'that', 'as', 'my', 'your', 'his', 'her', 'its', 'our', 'their'],
+  de: ['der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'einem', 'einer', 'und', 'oder', 'aber', 'in', 'im', 'an', 'am', 'auf', 'aus', 'bei', 'mit', 'nach', 'von', 'vom', 'zu', 'zum', 'zur', 'für', 'über', 'unter', 'dass'],
+  fr: ['le', 'la', 'les', "l'", 'un', 'une', 'des', 'du', 'de', "d'", 'à', 'au', 'aux', 'en', 'dans', 'sur', 'pour', 'par', 'avec', 'sans', 'et', 'ou', 'mais', 'que', "qu'"],
+  it: ['il', 'lo', 'la', 'i', 'gli', 'le', 'un', 'uno', 'una', 'di', 'a', 'da', 'in', 'con', 'su', 'per', 'tra', 'fra', 'del', 'della', 'al', 'alla', 'e', 'o', 'ma', 'che'],
+  es: ['el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'de', 'del', 'a', 'al', 'en', 'con', 'por', 'para', 'sin', 'sobre', 'y', 'e', 'o', 'u', 'pero', 'que'],
+  pt: ['o', 'a', 'os', 'as', 'um', 'uma', 'de', 'do', 'da', 'dos', 'das', 'em', 'no', 'na', 'com', 'por', 'para', 'e', 'ou', 'mas', 'que'],
+  sv: ['en', 'ett', 'den', 'det', 'de', 'i', 'på', 'till', 'från', 'med', 'av', 'för', 'om', 'och', 'eller', 'men', 'att'],
+  cs: ['a', 'i', 'o', 'u', 'v', 've', 'k', 'ke', 's', 'se', 'z', 'ze', 'na', 'do', 'od', 'po', 'pro', 'při', 'za', 'před', 'nad', 'pod', 'bez', 'ale', 'nebo', 'že', 'aby'],
+  sk: ['a', 'i', 'o', 'u', 'v', 'vo', 'k', 'ku', 's', 'so', 'z', 'zo', 'na', 'do', 'od', 'po', 'pre', 'pri', 'za', 'pred', 'nad', 'pod', 'bez', 'ale', 'alebo', 'že', 'aby'],
+  pl: ['a', 'i', 'o', 'u', 'w', 'we', 'z', 'ze', 'na', 'do', 'od', 'po', 'dla', 'przy', 'za', 'przed', 'nad', 'pod', 'bez', 'ale', 'lub', 'albo', 'że', 'aby'],
+};
+
+/** Each page costs this much, so text takes as few pages as it fits on */
+const PAGE_COST = 10;
+/** Weight of the length difference between the two lines of a page (and between a page and the average page) */
+const BALANCE_WEIGHT = 8;
+const SENTENCE_END_BONUS = 3;
+const CLAUSE_END_BONUS = 2;
+const WEAK_END_PENALTY = 4;
+const BEFORE_WEAK_BONUS = 0.5;
+/** Line breaks matter; page breaks, where the reader loses the text, matter more */
+const PAGE_BREAK_WEIGHT = 2;
+
+/**
+ * @typedef {Object} SegmentationOptions
+ * @property {string} [language='en'] - picks the weak words from WEAK_LINE_ENDS
+ * @property {string[]} [weakWords] - words that should not end a line, instead of the language's
+ * @property {number} [minDuration=1] - seconds each page stays on air at least; 0 for no minimum
+ * @property {number} [maxCps=17] - reading speed limit in characters per second; 0 for no limit
+ *
+ * @typedef {Object} ReadingSpeedIssue
+ * @property {number} start - cue times after retiming
+ * @property {number} end
+ * @property {string} text - the cue's lines
+ * @property {number} cps - characters per second it is shown at
+ * @property {number} shortest - seconds the shortest page is shown
+ */
+
+/**
+ * @param {string} word
+ * @returns {string} lower case, without attributes and surrounding punctuation
+ */
+function bare(word) {
+  return Array.from(word).filter((ch) => !isSpacingAttribute(ch)).join('')
+    .replace(/^[\s"'„“”‘’«»(\[¿¡-]+|[\s"'„“”‘’«»)\].,;:!?…-]+$/g, '').toLowerCase();
+}
+
+/**
+ * @param {string} text
+ * @returns {number} characters a reader reads: attributes do not count
+ */
+export function readableLength(text) {
+  return Array.from(text).filter((ch) => !isSpacingAttribute(ch)).length;
+}
+
+/**
+ * Cost of breaking the text between two words; negative where a break reads well.
+ * @param {string} before - word ending the line
+ * @param {string} after - word starting the next
+ * @param {Set<string>} weak
+ */
+function breakCost(before, after, weak) {
+  const end = before.replace(/["'”’»)\]]+$/, '');
+  // A dash starting a word marks another speaker
+  if (/[.!?…]$/.test(end) || /^[-–—]/.test(after)) return -SENTENCE_END_BONUS;
+  if (/[,;:–—]$/.test(end)) return -CLAUSE_END_BONUS;
+  let cost = 0;
+  if (weak.has(bare(before))) cost += WEAK_END_PENALTY;
+  if (weak.has(bare(after))) cost -= BEFORE_WEAK_BONUS;
+  return cost;
+}
+
+/**
+ * Split text into pages of balanced lines.
+ * Colour attributes behave as when wrapping: a word starting with one uses it as the space before it, and colours active
+ * at the end of a line are repeated at the start of the next.
+ * @param {string} text
+ * @param {{ charsPerLine: number, maxLines: number, language?: string, weakWords?: string[] }} options
+ * @returns {string[][] | null} null when a word is longer than a line
+ */
+export function balancedPages(text, { charsPerLine, maxLines, language = 'en', weakWords }) {
+  const words = text.split(/\s+/).filter(Boolean);
+  if (!words.length) return [];
+  const weak = new Set((weakWords ?? WEAK_LINE_ENDS[language] ?? []).map((word) => word.toLowerCase()));
+  const n = words.length;
+
+  // joined[j][k]: words j..k-1 on one line; carried[j]: colours repeated at the start of a line starting at word j
+  const joined = words.map((_, j) => {
+    const row = [];
+    let line = '';
+    for (let k = j; k < n; k++) {
+      line = k === j ? words[k] : line + (isSpacingAttribute(words[k][0]) ? '' : ' ') + words[k];
+      row[k + 1] = line;
+    }
+    return row;
+  });
+  const carried = words.map((word, j) => {
+    if (j === 0) return '';
+    const state = attributeState(joined[0][j]);
+    return state.bg === Colour.Black && isSpacingAttribute(word[0]) ? '' : attributePrefix(state);
+  });
+  const lineText = (j, k) => carried[j] + joined[j][k];
+  const fits = (j, k) => lineText(j, k).length <= charsPerLine;
+  const breaks = words.map((word, k) => (k === 0 ? 0 : breakCost(words[k - 1], word, weak)));
+
+  /** Best layout of words j..k-1 on one page: { cost, lines }, null if they do not fit */
+  const page = (j, k) => {
+    if (fits(j, k)) return { cost: 0, lines: [lineText(j, k)] };
+    if (maxLines < 2) return null;
+    let best = null;
+    for (let m = j + 1; m < k; m++) {
+      if (!fits(j, m) || !fits(m, k)) continue;
+      const top = readableLength(lineText(j, m));
+      const bottom = readableLength(lineText(m, k));
+      // Balanced, and a little better with the longer line at the bottom
+      const cost = BALANCE_WEIGHT * ((top - bottom) / charsPerLine) ** 2 + (top > bottom ? 0.5 : 0) + breaks[m];
+      if (!best || cost < best.cost) best = { cost, lines: [lineText(j, m), lineText(m, k)] };
+    }
+    return best;
+  };
+
+  const total = readableLength(joined[0][n]);
+  const target = total / Math.ceil(total / (charsPerLine * maxLines * 0.9));
+  // best[k]: cheapest layout of words 0..k-1
+  const best = [{ cost: 0, pages: [] }];
+  for (let k = 1; k <= n; k++) {
+    if (!fits(k - 1, k)) return null;
+    best[k] = null;
+    for (let j = k - 1; j >= 0; j--) {
+      const layout = page(j, k);
+      // More words do not fit either
+      if (!layout) break;
+      if (!best[j]) continue;
+      const length = readableLength(layout.lines.join(''));
+      const cost = best[j].cost + PAGE_COST + layout.cost
+        + (j > 0 ? PAGE_BREAK_WEIGHT * breaks[j] : 0)
+        + BALANCE_WEIGHT * ((length - target) / (charsPerLine * maxLines)) ** 2;
+      if (!best[k] || cost < best[k].cost) best[k] = { cost, pages: [...best[j].pages, layout.lines] };
+    }
+  }
+  return best[n]?.pages ?? null;
+}
+
+/**
+ * @param {number} seconds
+ * @returns {string} e.g. "00:01:02.500"
+ */
+function formatTime(seconds) {
+  const ms = Math.round(Math.max(0, seconds) * 1000);
+  const pad = (v, width = 2) => String(v).padStart(width, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * @param {ReadingSpeedIssue} issue
+ * @param {SegmentationOptions} limits
+ * @returns {string} e.g. for load warnings
+ */
+export function describeIssue({ start, text, cps, shortest }, { minDuration = 1, maxCps = 17 } = {}) {
+  const problems = [];
+  if (maxCps > 0 && cps > maxCps + 1e-6) problems.push(`${cps.toFixed(1)} characters per second (limit ${maxCps})`);
+  if (minDuration > 0 && shortest < minDuration - 1e-6) problems.push(`a page shown for ${shortest.toFixed(2)} s (minimum ${minDuration} s)`);
+  const excerpt = text.length > 30 ? text.slice(0, 30) + '…' : text;
+  return `Cue at ${formatTime(start)} ("${excerpt}") is too fast to read: ${problems.join(', ')}`;
+}
+
+/**
+ * Give each cue's pages enough time to be read. A cue that is too short takes time from the gap after it, then the gap
+ * before it, keeping minGap clear of its neighbours; its time is then shared between its pages, each getting its minimum
+ * and the rest by length. Cues already long enough keep their times.
+ * @param {{ start: number, end: number, pages: { lines: string[], start?: number, end?: number }[] }[]} cues - pages timed in place
+ * @param {SegmentationOptions & { minGap?: number }} [options] - minGap: seconds left between cues, default 0.08 (two frames)
+ * @returns {ReadingSpeedIssue[]} cues that still do not meet the limits
+ */
+export function fitReadingSpeed(cues, { minDuration = 1, maxCps = 17, minGap = 0.08 } = {}) {
+  const issues = [];
+  const order = cues.map((_, i) => i).sort((a, b) => cues[a].start - cues[b].start);
+  let previousEnd = -Infinity;
+  for (let o = 0; o < order.length; o++) {
+    const cue = cues[order[o]];
+    const next = cues[order[o + 1]];
+    const chars = cue.pages.map((page) => readableLength(page.lines.join(' ')));
+    const needs = chars.map((count) => Math.max(minDuration, maxCps > 0 ? count / maxCps : 0));
+    const need = needs.reduce((sum, v) => sum + v, 0);
+    let { start, end } = cue;
+
+    if (end - start < need) {
+      // Later first: a subtitle lingering is better than one ahead of the speech
+      const latest = next ? Math.max(end, next.start - minGap) : Infinity;
+      end = Math.min(start + need, latest);
+      // Not before the programme starts
+      const earliest = Math.min(start, Math.max(previousEnd + minGap, 0));
+      if (end - start < need) start = Math.max(end - need, earliest);
+    }
+    cue.start = start;
+    cue.end = end;
+    previousEnd = Math.max(previousEnd, end);
+
+    const duration = end - start;
+    const totalChars = chars.reduce((sum, v) => sum + v, 0) || 1;
+    const durations = duration >= need
+      ? needs.map((v, i) => v + (duration - need) * (chars[i] / totalChars))
+      : needs.map((v) => duration * (v / need));
+    if (cue.pages.length === 1) durations[0] = duration;
+    let elapsed = start;
+    cue.pages.forEach((page, i) => {
+      page.start = elapsed;
+      elapsed += durations[i];
+      page.end = elapsed;
+    });
+    // Avoid rounding gap: last page ends at cue end
+    if (cue.pages.length) cue.pages[cue.pages.length - 1].end = end;
+
+    if (need > 0 && duration < need - 1e-6) {
+      issues.push({
+        start,
+        end,
+        text: cue.pages.map((page) => page.lines.join(' ')).join(' ').replace(/[\x00-\x07\x1C\x1D]/g, ''),
+        cps: totalChars / duration,
+        shortest: Math.min(...durations),
+      });
+    }
+  }
+  return issues;
+}
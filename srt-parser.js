@@ -0,0 +1,63 @@
+import { colourFromName, serializeRuns } from './teletext-attributes.js';
+
+/**
+ * SubRip (.srt) file parser. Returns cues in the same shape as parseVTT: start and end in seconds, and text.
+ * Numeric cue indexes are skipped; <font color> becomes a teletext colour, other basic tags (<i>, <b>, <u>) are stripped.
+ * @param {string} srtContent - Raw SRT file content
+ * @returns {{ start: number, end: number, text: string }[]}
+ */
+export function parseSRT(srtContent) {
+  const lines = srtContent.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const cues = [];
+  let i = 0;
+
+  // Match H:MM:SS,mmm (comma is standard, dot is accepted too); milliseconds may be 1–3 digits
+  const timeRegex = /^\s*(\d{1,2}):(\d{2}):(\d{2})[,.](\d{1,3})\s*-->\s*(\d{1,2}):(\d{2}):(\d{2})[,.](\d{1,3})/;
+  while (i < lines.length) {
+    const match = lines[i].match(timeRegex);
+    if (!match) {
+      // Cue index or stray line
+      i++;
+      continue;
+    }
+    const toSeconds = (h, m, s, ms) => parseInt(h, 10) * 3600 + parseInt(m, 10) * 60 + parseInt(s, 10) + parseInt(ms.padEnd(3, '0'), 10) / 1000;
+    const start = toSeconds(match[1], match[2], match[3], match[4]);
+    const end = toSeconds(match[5], match[6], match[7], match[8]);
+    i++;
+    const textLines = [];
+    while (i < lines.length && lines[i].trim() !== '') {
+      textLines.push(lines[i].trim());
+      i++;
+    }
+    const text = parseTags(textLines.join(' ')).replace(/\s+/g, ' ').trim();
+    if (text) {
+      cues.push({ start, end, text });
+    }
+    i++;
+  }
+
+  return cues;
+}
+
+/**
+ * Convert the basic formatting tags SRT files carry (<i>, <b>, <u>, <font ...>) to teletext colour attributes,
+ * keeping their content. Only <font color> has a teletext equivalent.
+ * @param {string} text
+ * @returns {string}
+ */
+function parseTags(text) {
+  const runs = [];
+  const colours = [];
+  for (const token of text.split(/(<\/?(?:i|b|u|font)(?:\s[^>]*)?>)/i)) {
+    if (!token) continue;
+    if (/^<font\b/i.test(token)) {
+      const color = /\bcolor\s*=\s*["']?([^"'\s>]+)/i.exec(token);
+      colours.push((color && colourFromName(color[1])) ?? colours.at(-1));
+    } else if (/^<\/font>/i.test(token)) {
+      colours.pop();
+    } else if (!/^<\/?[ibu]>/i.test(token)) {
+      runs.push({ text: token, fg: colours.at(-1) });
+    }
+  }
+  return serializeRuns(runs);
+}
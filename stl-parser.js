@@ -0,0 +1,234 @@
+import { Buffer } from 'node:buffer';
+import { isSpacingAttribute } from './teletext-attributes.js';
+
+/**
+ * EBU STL (Tech 3264) subtitle file parser.
+ * A file is a 1024-byte GSI (General Subtitle Information) block followed by 128-byte TTI (Text and Timing Information) blocks.
+ * Cue times are returned in seconds relative to the start-of-programme timecode (TCP) from the GSI block,
+ * unless the cues were authored from zero regardless of TCP.
+ */
+
+const GSI_SIZE = 1024;
+const TTI_SIZE = 128;
+
+/** TTI extension block number (EBN) of the last block of a subtitle, and of user data blocks */
+const EBN_LAST = 0xFF;
+const EBN_USER_DATA = 0xFE;
+
+/** Text field codes (Tech 3264 §4.2, TF) */
+const TF_CRLF = 0x8A;
+const TF_UNUSED = 0x8F;
+
+/** Double height control code in the text field */
+const DOUBLE_HEIGHT = 0x0D;
+
+/** Last display row for teletext subtitles */
+const LAST_ROW = 23;
+
+/** TTI justification code (JC): 0 keeps the authored spacing (encoder default applies) */
+const JUSTIFICATION = { 1: 'start', 2: 'center', 3: 'end' };
+
+/** ISO 6937 code points 0xA0–0xFF (character code table 00). 0xC0–0xCF are non-spacing diacritics, see ISO6937_DIACRITICS. */
+const ISO6937_UPPER = [
+  ' ', '¡', '¢', '£', '$', '¥', '#', '§', '¤', '‘', '“', '«', '←', '↑', '→', '↓',
+  '°', '±', '²', '³', '×', 'µ', '¶', '·', '÷', '’', '”', '»', '¼', '½', '¾', '¿',
+  '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '',
+  '―', '¹', '®', '©', '™', '♪', '¬', '¦', '', '', '', '', '⅛', '⅜', '⅝', '⅞',
+  'Ω', 'Æ', 'Đ', 'ª', 'Ħ', '', 'Ĳ', 'Ŀ', 'Ł', 'Ø', 'Œ', 'º', 'Þ', 'Ŧ', 'Ŋ', 'ŉ',
+  'ĸ', 'æ', 'đ', 'ð', 'ħ', 'ı', 'ĳ', 'ŀ', 'ł', 'ø', 'œ', 'ß', 'þ', 'ŧ', 'ŋ', '\u00AD',
+];
+
+/** ISO 6937 non-spacing diacritics (they precede the base letter) → Unicode combining marks */
+const ISO6937_DIACRITICS = new Map([
+  [0xC1, '\u0300'], [0xC2, '\u0301'], [0xC3, '\u0302'], [0xC4, '\u0303'], [0xC5, '\u0304'],
+  [0xC6, '\u0306'], [0xC7, '\u0307'], [0xC8, '\u0308'], [0xCA, '\u030A'], [0xCB, '\u0327'],
+  [0xCD, '\u030B'], [0xCE, '\u0328'], [0xCF, '\u030C'],
+]);
+
+/**
+ * Offsets for the ISO 8859 based character code tables: code point = byte + offset for bytes >= start.
+ * "01" Latin/Cyrillic (8859-5), "02" Latin/Arabic (8859-6), "03" Latin/Greek (8859-7), "04" Latin/Hebrew (8859-8).
+ */
+const ISO8859_TABLES = {
+  '01': { start: 0xA1, offset: 0x0360 },
+  '02': { start: 0xC1, offset: 0x0560 },
+  '03': { start: 0xB4, offset: 0x02D0 },
+  '04': { start: 0xE0, offset: 0x04F0 },
+};
+
+/**
+ * @param {Buffer} buffer
+ * @returns {boolean} true if the buffer starts with a GSI block (disk format code "STLxx.01")
+ */
+export function isSTL(buffer) {
+  return buffer.length >= GSI_SIZE && /^STL\d{2}\.01$/.test(buffer.toString('latin1', 3, 11));
+}
+
+/**
+ * @param {Buffer} buffer
+ * @param {number} start
+ * @param {number} end
+ * @returns {string} trimmed ASCII field
+ */
+function field(buffer, start, end) {
+  return buffer.toString('latin1', start, end).trim();
+}
+
+/**
+ * Parse an HHMMSSFF timecode field from the GSI block.
+ * @param {string} tc
+ * @param {number} frameRate
+ * @returns {number} frames, 0 if the field is empty or malformed
+ */
+function gsiTimecodeFrames(tc, frameRate) {
+  const match = /^(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(tc);
+  if (!match) return 0;
+  const [h, m, s, f] = match.slice(1).map((v) => parseInt(v, 10));
+  return (h * 3600 + m * 60 + s) * frameRate + f;
+}
+
+/**
+ * Parse the GSI block.
+ * @param {Buffer} buffer
+ */
+function parseGSI(buffer) {
+  const diskFormat = field(buffer, 3, 11);
+  const frameRate = parseInt(diskFormat.slice(3, 5), 10) || 25;
+  return {
+    codePage: field(buffer, 0, 3),
+    diskFormat,
+    frameRate,
+    /** ' ' undefined, '0' open subtitling, '1' level-1 teletext, '2' level-2 teletext */
+    displayStandard: buffer.toString('latin1', 11, 12),
+    characterTable: field(buffer, 12, 14) || '00',
+    language: field(buffer, 14, 16),
+    totalBlocks: parseInt(field(buffer, 238, 243), 10) || 0,
+    maxRows: parseInt(field(buffer, 253, 255), 10) || LAST_ROW,
+    /** Start-of-programme timecode in frames */
+    programmeStart: gsiTimecodeFrames(field(buffer, 256, 264), frameRate),
+  };
+}
+
+/**
+ * Decode one character byte (0x20–0xFF) of a text field using the file's character code table.
+ * @param {number} b
+ * @param {string} characterTable
+ * @returns {string}
+ */
+function decodeChar(b, characterTable) {
+  if (b < 0x80) return String.fromCharCode(b);
+  if (characterTable === '00') return ISO6937_UPPER[b - 0xA0] ?? '';
+  const table = ISO8859_TABLES[characterTable];
+  if (table && b >= table.start) return String.fromCodePoint(b + table.offset);
+  return b === 0xA0 ? ' ' : '';
+}
+
+/**
+ * Decode a text field into lines. Teletext colour/background codes are kept inline; box, size and
+ * open-subtitling style codes are dropped (double height is reported on the cue instead).
+ * @param {Buffer} tf
+ * @param {string} characterTable
+ * @returns {string[]}
+ */
+function decodeTextField(tf, characterTable) {
+  const lines = [];
+  let line = '';
+  let diacritic = null;
+  for (const b of tf) {
+    // Unused space pads the end of each block; the subtitle may go on in the next extension block
+    if (b === TF_UNUSED) continue;
+    if (b === TF_CRLF) {
+      lines.push(line);
+      line = '';
+      continue;
+    }
+    if (b < 0x20) {
+      // Colour and background attributes stay in the cue text
+      if (isSpacingAttribute(String.fromCharCode(b))) line += String.fromCharCode(b);
+      continue;
+    }
+    if (b >= 0x80 && b < 0xA0) continue; // open subtitling italics/underline/boxing and reserved codes
+    if (characterTable === '00' && ISO6937_DIACRITICS.has(b)) {
+      diacritic = ISO6937_DIACRITICS.get(b);
+      continue;
+    }
+    const ch = decodeChar(b, characterTable);
+    line += diacritic ? (ch + diacritic).normalize('NFC') : ch;
+    diacritic = null;
+  }
+  lines.push(line);
+  return lines;
+}
+
+/**
+ * Map a TTI vertical position to a teletext row. Teletext files carry the row directly (1–23);
+ * open subtitling files are scaled from the GSI maximum number of displayable rows.
+ * @param {number} vp
+ * @param {ReturnType<typeof parseGSI>} gsi
+ * @returns {number | undefined}
+ */
+function toRow(vp, gsi) {
+  if (!vp) return undefined;
+  if (gsi.displayStandard === '1' || gsi.displayStandard === '2') return Math.min(LAST_ROW, vp);
+  const maxRows = Math.max(2, gsi.maxRows);
+  return Math.max(1, Math.min(LAST_ROW, 1 + Math.round(((vp - 1) * (LAST_ROW - 1)) / (maxRows - 1))));
+}
+
+/**
+ * @param {Buffer} buffer - Raw STL file content
+ * @returns {{ header: ReturnType<typeof parseGSI>, cues: { start: number, end: number, text: string, row?: number, align?: string, doubleHeight?: boolean }[] }}
+ */
+export function parseSTL(buffer) {
+  if (!isSTL(buffer)) throw new Error('Not an EBU STL file');
+  const header = parseGSI(buffer);
+  const { frameRate, characterTable, programmeStart } = header;
+  // TTI timecodes are four binary bytes: hours, minutes, seconds, frames
+  const timecodeFrames = (block, offset) =>
+    (block[offset] * 3600 + block[offset + 1] * 60 + block[offset + 2]) * frameRate + block[offset + 3];
+
+  const cues = [];
+  let pending = null; // subtitle being assembled from extension blocks
+  for (let offset = GSI_SIZE; offset + TTI_SIZE <= buffer.length; offset += TTI_SIZE) {
+    const block = buffer.subarray(offset, offset + TTI_SIZE);
+    const subtitleNumber = block.readUInt16LE(1);
+    const extensionBlock = block[3];
+    const commentFlag = block[15];
+    if (extensionBlock === EBN_USER_DATA) continue;
+
+    if (!pending || pending.subtitleNumber !== subtitleNumber) {
+      pending = {
+        subtitleNumber,
+        comment: commentFlag === 1,
+        start: timecodeFrames(block, 5),
+        end: timecodeFrames(block, 9),
+        vp: block[13],
+        jc: block[14],
+        text: [],
+      };
+    }
+    pending.text.push(block.subarray(16, TTI_SIZE));
+    if (extensionBlock !== EBN_LAST) continue;
+
+    const { comment, start, end, vp, jc, text } = pending;
+    pending = null;
+    if (comment) continue;
+    const textField = Buffer.concat(text);
+    const lines = decodeTextField(textField, characterTable)
+      .map((l) => l.replace(/\s+/g, ' ').trim())
+      .filter((l) => l.replace(/[\x00-\x1F]/g, '') !== '');
+    if (!lines.length) continue;
+    const cue = { start, end, text: lines.join(' ') };
+    const row = toRow(vp, header);
+    if (row !== undefined) cue.row = row;
+    if (JUSTIFICATION[jc]) cue.align = JUSTIFICATION[jc];
+    if (textField.includes(DOUBLE_HEIGHT)) cue.doubleHeight = true;
+    cues.push(cue);
+  }
+
+  const origin = cues.length && cues[0].start >= programmeStart ? programmeStart : 0;
+  for (const cue of cues) {
+    cue.start = (cue.start - origin) / frameRate;
+    cue.end = (cue.end - origin) / frameRate;
+  }
+  return { header, cues };
+}
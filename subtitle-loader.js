@@ -0,0 +1,59 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseVTT } from './vtt-parser.js';
+import { parseSRT } from './srt-parser.js';
+import { isSTL, parseSTL } from './stl-parser.js';
+import { parseTTML } from './ttml-parser.js';
+
+/**
+ * Subtitle file loading with format detection. All formats produce the same { start, end, text } cue shape,
+ * and a list of warnings about source features that were dropped.
+ */
+
+const EXTENSIONS = new Map([
+  ['.vtt', 'vtt'],
+  ['.webvtt', 'vtt'],
+  ['.srt', 'srt'],
+  ['.stl', 'stl'],
+  ['.ttml', 'ttml'],
+  ['.dfxp', 'ttml'],
+]);
+
+/** File extensions read as subtitles, e.g. when looking for a sidecar file next to a clip */
+export const SUBTITLE_EXTENSIONS = [...EXTENSIONS.keys()];
+
+/**
+ * Detect subtitle format by file extension, falling back to content sniffing.
+ * @param {string} filePath
+ * @param {Buffer} buffer - Raw file content
+ * @returns {'vtt' | 'srt' | 'stl' | 'ttml' | null}
+ */
+export function detectSubtitleFormat(filePath, buffer) {
+  const byExtension = EXTENSIONS.get(path.extname(filePath).toLowerCase());
+  if (byExtension) return byExtension;
+  if (isSTL(buffer)) return 'stl';
+
+  const head = buffer.toString('utf-8').replace(/^\uFEFF/, '').trimStart();
+  if (head.startsWith('WEBVTT')) return 'vtt';
+  if (head.startsWith('<') && /<(\w+:)?tt[\s>]/.test(head)) return 'ttml';
+  // SRT: a numeric index followed by a timing line with a comma decimal separator
+  if (/^\d+\s*\r?\n\s*\d{1,2}:\d{2}:\d{2},\d{1,3}\s*-->/.test(head)) return 'srt';
+  if (/^(\d{2}:)?\d{2}:\d{2}\.\d{3}\s*-->/m.test(head)) return 'vtt';
+  return null;
+}
+
+/**
+ * Read and parse a subtitle file.
+ * @param {string} filePath
+ * @param {{ voiceColours?: Record<string, string>, voicePalette?: string[] }} [options] - WebVTT speaker colours
+ * @returns {Promise<{ format: string, cues: { start: number, end: number, text: string, row?: number }[], warnings: string[] }>}
+ */
+export async function loadSubtitleFile(filePath, options = {}) {
+  const buffer = await fs.readFile(filePath);
+  const format = detectSubtitleFormat(filePath, buffer);
+  if (format === 'stl') return { format, cues: parseSTL(buffer).cues, warnings: [] };
+  if (format === 'ttml') return { format, ...parseTTML(buffer.toString('utf-8')) };
+  if (format === 'srt') return { format, cues: parseSRT(buffer.toString('utf-8')), warnings: [] };
+  if (format === 'vtt') return { format, cues: parseVTT(buffer.toString('utf-8'), options), warnings: [] };
+  throw new Error('Unrecognised subtitle format: ' + filePath);
+}
@@ -0,0 +1,141 @@
+/**
+ * Teletext spacing attributes (ETS 300 706 §12.2) carried inline in cue text and rows.
+ * Each attribute occupies one character cell. Colours are alpha colour codes 0x00–0x07; a row starts white on black.
+ */
+
+export const Colour = Object.freeze({
+  Black: 0,
+  Red: 1,
+  Green: 2,
+  Yellow: 3,
+  Blue: 4,
+  Magenta: 5,
+  Cyan: 6,
+  White: 7,
+});
+
+/** Black background: background colour becomes black (Set-At) */
+export const BLACK_BACKGROUND = 0x1C;
+/** New background: background colour becomes the current foreground colour (Set-At) */
+export const NEW_BACKGROUND = 0x1D;
+
+const COLOUR_NAMES = new Map([
+  ['black', Colour.Black],
+  ['red', Colour.Red],
+  ['green', Colour.Green],
+  ['lime', Colour.Green],
+  ['yellow', Colour.Yellow],
+  ['blue', Colour.Blue],
+  ['magenta', Colour.Magenta],
+  ['fuchsia', Colour.Magenta],
+  ['cyan', Colour.Cyan],
+  ['aqua', Colour.Cyan],
+  ['white', Colour.White],
+]);
+
+/**
+ * Resolve a colour name, #rgb / #rrggbb(aa) or rgb()/rgba() value to the nearest teletext colour.
+ * @param {string} value
+ * @returns {number | undefined} colour 0–7
+ */
+export function colourFromName(value) {
+  if (typeof value !== 'string') return undefined;
+  const name = value.trim().toLowerCase();
+  if (COLOUR_NAMES.has(name)) return COLOUR_NAMES.get(name);
+  let channels;
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(name);
+  const rgb = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*\d+\s*)?\)$/.exec(name);
+  if (hex) {
+    const digits = hex[1].length === 3 ? Array.from(hex[1], (d) => d + d) : hex[1].match(/../g);
+    channels = digits.slice(0, 3).map((d) => parseInt(d, 16));
+  } else if (rgb) {
+    channels = rgb.slice(1, 4).map(Number);
+  } else {
+    return undefined;
+  }
+  const [r, g, b] = channels.map((c) => c >= 0x80);
+  // Teletext colour bits: 1 = red, 2 = green, 4 = blue
+  return (r ? 1 : 0) | (g ? 2 : 0) | (b ? 4 : 0);
+}
+
+/**
+ * @param {string} value - CSS-style colour
+ * @returns {boolean} true if the colour is fully transparent (#rrggbb00 or rgba(..., 0))
+ */
+export function isTransparent(value) {
+  const name = String(value).trim().toLowerCase();
+  return name === 'transparent' || /^#[0-9a-f]{6}00$/.test(name) || /^rgba\(.*,\s*0\s*\)$/.test(name);
+}
+
+/**
+ * @param {string} ch
+ * @returns {boolean} true for the colour and background attributes kept in cue text
+ */
+export function isSpacingAttribute(ch) {
+  const code = ch.charCodeAt(0);
+  return code <= 0x07 || code === BLACK_BACKGROUND || code === NEW_BACKGROUND;
+}
+
+/**
+ * Attribute state after the given text, starting from state (or from the start of a row).
+ * @param {string} text
+ * @param {{ fg: number, bg: number }} [state]
+ * @returns {{ fg: number, bg: number }}
+ */
+export function attributeState(text, state = { fg: Colour.White, bg: Colour.Black }) {
+  let { fg, bg } = state;
+  for (const ch of text) {
+    const code = ch.charCodeAt(0);
+    if (code <= 0x07) fg = code;
+    else if (code === NEW_BACKGROUND) bg = fg;
+    else if (code === BLACK_BACKGROUND) bg = Colour.Black;
+  }
+  return { fg, bg };
+}
+
+/**
+ * Attributes that switch from the start-of-row state (white on black) to the given state.
+ * @param {{ fg: number, bg: number }} state
+ * @returns {string}
+ */
+export function attributePrefix({ fg, bg }) {
+  let out = '';
+  let current = Colour.White;
+  if (bg !== Colour.Black) {
+    out += String.fromCharCode(bg, NEW_BACKGROUND);
+    current = bg;
+  }
+  if (fg !== current) out += String.fromCharCode(fg);
+  return out;
+}
+
+/**
+ * Serialize styled runs to text with inline spacing attributes. An attribute is emitted only where the colour changes.
+ * @param {{ text: string, fg?: number, bg?: number }[]} runs - fg defaults to white, bg to black
+ * @returns {string}
+ */
+export function serializeRuns(runs) {
+  let out = '';
+  let fg = Colour.White;
+  let bg = Colour.Black;
+  for (const run of runs) {
+    if (!run.text) continue;
+    const runFg = run.fg ?? Colour.White;
+    const runBg = run.bg ?? Colour.Black;
+    // Keep leading spaces in the old colour so the attribute sits next to the word it styles
+    const [, lead, rest] = /^(\s*)([\s\S]*)$/.exec(run.text);
+    out += lead;
+    if (!rest) continue;
+    if (runBg !== bg) {
+      out += runBg === Colour.Black ? String.fromCharCode(BLACK_BACKGROUND) : String.fromCharCode(runBg, NEW_BACKGROUND);
+      if (runBg !== Colour.Black) fg = runBg;
+      bg = runBg;
+    }
+    if (runFg !== fg) {
+      out += String.fromCharCode(runFg);
+      fg = runFg;
+    }
+    out += rest;
+  }
+  return out;
+}
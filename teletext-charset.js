@@ -0,0 +1,427 @@
+/*
+  Unicode → teletext character mapping (ETS 300 706 §15.6). Latin pages use a G0 national option subset;
+  Cyrillic, Greek and Arabic pages use their own G0 set, designated with packet X/28/0 Format 1.
+  Arabic rows are shaped into the presentation forms of the Arabic G0 set and sent in visual (right to left) order.
+
+  A character is sent, in order of preference:
+  1. directly in the row, when the page's G0 national option subset has it (or it is a plain G0 character);
+  2. as a packet X/26 "G0 character with diacritical mark" (base letter + G2 column 4 diacritic);
+  3. as a packet X/26 "G2 character" (precomposed letters such as ß, ł, đ, œ and symbols);
+  4. as a packet X/26 "G0 character without diacritical mark", for plain ASCII characters displaced by the national subset.
+  The row always carries a readable placeholder (the base letter) for level 1 decoders.
+  Non-Latin pages only have steps 1 and 2: the G2 set and the plain G0 characters are not Latin there.
+*/
+
+/** G2 column 4 diacritical marks (ETS 300 706 Table 36). X/26 column address mode = 0x10 + index. */
+export const Diacritic = Object.freeze({
+  Grave: 1,
+  Acute: 2,
+  Circumflex: 3,
+  Tilde: 4,
+  Macron: 5,
+  Breve: 6,
+  DotAbove: 7,
+  Diaeresis: 8,
+  DotBelow: 9,
+  Ring: 10,
+  Cedilla: 11,
+  DoubleAcute: 13,
+  Ogonek: 14,
+  Caron: 15,
+});
+
+/** Unicode combining mark → G2 column 4 diacritic */
+const COMBINING_DIACRITICS = new Map([
+  ['\u0300', Diacritic.Grave],
+  ['\u0301', Diacritic.Acute],
+  ['\u0302', Diacritic.Circumflex],
+  ['\u0303', Diacritic.Tilde],
+  ['\u0304', Diacritic.Macron],
+  ['\u0306', Diacritic.Breve],
+  ['\u0307', Diacritic.DotAbove],
+  ['\u0308', Diacritic.Diaeresis],
+  ['\u0323', Diacritic.DotBelow],
+  ['\u030A', Diacritic.Ring],
+  ['\u0327', Diacritic.Cedilla],
+  ['\u030B', Diacritic.DoubleAcute],
+  ['\u0328', Diacritic.Ogonek],
+  ['\u030C', Diacritic.Caron],
+]);
+
+/** G2 Latin supplementary set (ETS 300 706 Table 36) rows 0x20–0x3F and 0x50–0x7F; column 4 holds the diacritics. */
+const G2_LATIN = [
+  [0x21, '¡¢£$¥#§¤‘“«←↑→↓°±²³×µ¶·÷’”»¼½¾¿'],
+  [0x50, '―¹®©™♪€‰α'],
+  [0x5C, '⅛⅜⅝⅞Ω'],
+  [0x61, 'ÆĐªĦ'],
+  [0x66, 'ĲĿŁØŒºÞŦŊŉĸæđðħıĳŀłøœßþŧŋ'],
+];
+
+/** Unicode → G2 code */
+const G2_CHARACTERS = new Map(G2_LATIN.flatMap(([first, chars]) => Array.from(chars, (ch, i) => [ch, first + i])));
+
+/** Readable row placeholders for G2 letters that have no base letter in Unicode decomposition */
+const G2_PLACEHOLDERS = new Map(Object.entries({
+  'Æ': 'A', 'Đ': 'D', 'Ħ': 'H', 'Ĳ': 'I', 'Ŀ': 'L', 'Ł': 'L', 'Ø': 'O', 'Œ': 'O', 'Þ': 'T', 'Ŧ': 'T', 'Ŋ': 'N',
+  'æ': 'a', 'đ': 'd', 'ð': 'd', 'ħ': 'h', 'ı': 'i', 'ĳ': 'i', 'ŀ': 'l', 'ł': 'l', 'ø': 'o', 'œ': 'o', 'ß': 's',
+  'þ': 't', 'ŧ': 't', 'ŋ': 'n', 'ĸ': 'k', 'ŉ': 'n',
+}));
+
+/** G0 positions replaced by the national option subsets, in table order */
+export const NATIONAL_POSITIONS = Object.freeze([0x23, 0x24, 0x40, 0x5B, 0x5C, 0x5D, 0x5E, 0x5F, 0x60, 0x7B, 0x7C, 0x7D, 0x7E]);
+
+/** Cyrillic G0 sets (ETS 300 706 Table 35), codes 0x40–0x7E */
+const CYRILLIC_SERBIAN = 'ЧАБЦДЕФГХИЈКЛМНОПЌРСТУВЃЉЊЗЋЖЂШЏчабцдефгхијклмнопќрстувѓљњзћжђш';
+const CYRILLIC_RUSSIAN = 'ЮАБЦДЕФГХИЙКЛМНОПЯРСТУЖВЬЪЗШЭЩЧЫюабцдефгхийклмнопярстужвьъзшэщч';
+const CYRILLIC_UKRAINIAN = 'ЮАБЦДЕФГХИЙКЛМНОПЯРСТУЖВЬІЗШЄЩЧЇюабцдефгхийклмнопярстужвьізшєщч';
+/** Greek G0 set, codes 0x40–0x7E: U+0390 onwards, without the unassigned U+03A2 (0x52) */
+const GREEK = Array.from({ length: 0x3F }, (_, i) => (i === 0x12 ? '\0' : String.fromCharCode(0x0390 + i))).join('');
+/**
+ * Arabic G0 set (ETS 300 706 Table 37): codes 0x20–0x3F, then 0x40–0x7F. Letters are presentation forms; a plain letter
+ * stands for its isolated form.
+ */
+const ARABIC_LOW = ' !"£$٪\uFEF0\uFEF2\uFD3F\uFD3E*+،-./٠١٢٣٤٥٦٧٨٩:؛>=<؟';
+const ARABIC = '\uFE94\u0621\uFE92\u0628\uFE98\u062A\uFE8E\u0627\uFE91\uFE93\uFE97\uFE9B\uFE9F\uFEA3\uFEA7\uFEA9'
+  + '\u0630\uFEAD\uFEAF\uFEB3\uFEB7\uFEBB\uFEBF\uFEC1\uFEC5\uFECB\uFECF\uFE9C\uFEA0\uFEA4\uFEA8#'
+  + '\u0640\uFED3\uFED7\uFEDB\uFEDF\uFEE3\uFEE7\uFEEB\uFEED\uFEFB\uFED4\uFED8\uFEE0\uFEE4\uFEE8\uFEEC'
+  + '\uFE70\uFE72\uFE74\uFE76\uFE78\uFE7A\uFE7C\uFE7E\uFEF5\uFEF7\uFEF9\uFEC9\uFECD\uFEF3\uFEF1■';
+/** Characters typed in Arabic text for the set's own: Western digits and Latin punctuation */
+const ARABIC_ALIASES = { '0': 0x30, '1': 0x31, '2': 0x32, '3': 0x33, '4': 0x34, '5': 0x35, '6': 0x36, '7': 0x37, '8': 0x38, '9': 0x39, ',': 0x2C, ';': 0x3B, '?': 0x3F, '%': 0x25 };
+
+/**
+ * G0 character sets with their designation: group = bits 4–7 of the X/28 designation, option = C12–C14 in the page header.
+ * Latin entries are national option subsets (ETS 300 706 Table 36): chars replace the NATIONAL_POSITIONS of the Latin G0 set.
+ * Non-Latin entries list codes 0x40–0x7E in g0, and the character at 0x26 where it is not "&"; Arabic lists 0x20–0x3F in low,
+ * other characters shown with the set's codes in aliases, and is shaped (see toVisualOrder).
+ * Pages outside group 0 carry an X/28/0 packet, as the header only signals the option.
+ */
+export const NATIONAL_SUBSETS = Object.freeze({
+  english: { group: 0, option: 0, chars: '£$@←½→↑#―¼‖¾÷' },
+  german: { group: 0, option: 1, chars: '#$§ÄÖÜ^_°äöüß' },
+  swedish: { group: 0, option: 2, chars: '#¤ÉÄÖÅÜ_éäöåü' },
+  italian: { group: 0, option: 3, chars: '£$é°ç→↑#ùàòèì' },
+  french: { group: 0, option: 4, chars: 'éïàëêùî#èâôûç' },
+  portuguese: { group: 0, option: 5, chars: 'ç$¡áéíóú¿üñèà' },
+  czech: { group: 0, option: 6, chars: '#ůčťžýířéáěúš' },
+  polish: { group: 1, option: 0, chars: '#ńąƵŚŁćóężśłź' },
+  turkish: { group: 2, option: 6, chars: '₺ğİŞÖÇÜĞışöçü' },
+  serbian: { group: 3, option: 5, chars: '#ËČĆŽĐŠëčćžđš' },
+  rumanian: { group: 3, option: 7, chars: '#¤ŢÂŞĂÎıţâşăî' },
+  estonian: { group: 4, option: 2, chars: '#õŠÄÖŽÜÕšäöžü' },
+  lettish: { group: 4, option: 3, chars: '#$ŠėęŽčūšąųžį' },
+  'serbian-cyrillic': { group: 4, option: 0, g0: CYRILLIC_SERBIAN },
+  russian: { group: 4, option: 4, g0: CYRILLIC_RUSSIAN, at26: 'ы' },
+  ukrainian: { group: 4, option: 5, g0: CYRILLIC_UKRAINIAN, at26: 'ї' },
+  greek: { group: 6, option: 7, g0: GREEK },
+  arabic: { group: 8, option: 7, g0: ARABIC, low: ARABIC_LOW, aliases: ARABIC_ALIASES, shaped: true },
+});
+
+/** Language → national option subset used for its pages */
+export const LANGUAGES = Object.freeze({
+  en: { name: 'English', nationalOption: 'english' },
+  de: { name: 'German', nationalOption: 'german' },
+  fr: { name: 'French', nationalOption: 'french' },
+  it: { name: 'Italian', nationalOption: 'italian' },
+  es: { name: 'Spanish', nationalOption: 'portuguese' },
+  pt: { name: 'Portuguese', nationalOption: 'portuguese' },
+  sv: { name: 'Swedish', nationalOption: 'swedish' },
+  fi: { name: 'Finnish', nationalOption: 'swedish' },
+  cs: { name: 'Czech', nationalOption: 'czech' },
+  sk: { name: 'Slovak', nationalOption: 'czech' },
+  pl: { name: 'Polish', nationalOption: 'polish' },
+  hu: { name: 'Hungarian', nationalOption: 'swedish' },
+  sl: { name: 'Slovenian', nationalOption: 'serbian' },
+  hr: { name: 'Croatian', nationalOption: 'serbian' },
+  tr: { name: 'Turkish', nationalOption: 'turkish' },
+  ro: { name: 'Romanian', nationalOption: 'rumanian' },
+  et: { name: 'Estonian', nationalOption: 'estonian' },
+  lv: { name: 'Latvian', nationalOption: 'lettish' },
+  lt: { name: 'Lithuanian', nationalOption: 'lettish' },
+  sr: { name: 'Serbian', nationalOption: 'serbian-cyrillic' },
+  mk: { name: 'Macedonian', nationalOption: 'serbian-cyrillic' },
+  ru: { name: 'Russian', nationalOption: 'russian' },
+  bg: { name: 'Bulgarian', nationalOption: 'russian' },
+  uk: { name: 'Ukrainian', nationalOption: 'ukrainian' },
+  el: { name: 'Greek', nationalOption: 'greek' },
+  ar: { name: 'Arabic', nationalOption: 'arabic' },
+});
+
+/** Per-subset lookup: Unicode → G0 code */
+const subsetMaps = new Map();
+
+/**
+ * @param {string} nationalOption - key of NATIONAL_SUBSETS
+ * @returns {Map<string, number>} Unicode → G0 code for every character the subset shows directly
+ */
+function g0Map(nationalOption) {
+  if (!subsetMaps.has(nationalOption)) {
+    const subset = NATIONAL_SUBSETS[nationalOption];
+    if (!subset) throw new Error('Unknown national option subset: ' + nationalOption);
+    const map = new Map();
+    if (subset.g0) {
+      // Aliases first, so decoding takes a code's own character
+      for (const [ch, code] of Object.entries(subset.aliases ?? {})) map.set(ch, code);
+      if (subset.low) Array.from(subset.low).forEach((ch, i) => map.set(ch, 0x20 + i));
+      else for (let code = 0x20; code < 0x40; code++) map.set(String.fromCharCode(code), code);
+      if (subset.at26) {
+        map.delete('&');
+        map.set(subset.at26, 0x26);
+      }
+      Array.from(subset.g0).forEach((ch, i) => ch !== '\0' && map.set(ch, 0x40 + i));
+      if (subset.shaped) {
+        // A letter on its own (e.g. when checking text before shaping) resolves to any form the set has
+        for (const [letter, forms] of ARABIC_FORMS) {
+          const code = [...forms, letter].map((form) => map.get(form)).find((c) => c !== undefined);
+          if (code !== undefined && !map.has(letter)) map.set(letter, code);
+        }
+        for (let mark = 0x064B; mark <= 0x0652; mark++) map.set(String.fromCharCode(mark), map.get(String.fromCharCode(0xFE70 + (mark - 0x064B) * 2)));
+      }
+    } else {
+      for (let code = 0x20; code < 0x7F; code++) {
+        if (!NATIONAL_POSITIONS.includes(code)) map.set(String.fromCharCode(code), code);
+      }
+      Array.from(subset.chars).forEach((ch, i) => map.set(ch, NATIONAL_POSITIONS[i]));
+    }
+    subsetMaps.set(nationalOption, map);
+  }
+  return subsetMaps.get(nationalOption);
+}
+
+/**
+ * @typedef {Object} ResolvedCharacter
+ * @property {number} code - 7-bit code to write in the row (the character itself, or a placeholder)
+ * @property {{ mode: number, data: number }} [x26] - X/26 column triplet (mode, data) that overlays the placeholder
+ */
+
+/**
+ * Resolve one Unicode character for a page using the given national option subset.
+ * @param {string} ch
+ * @param {string} [nationalOption="english"]
+ * @returns {ResolvedCharacter | null} null if the character cannot be shown
+ */
+export function resolveCharacter(ch, nationalOption = 'english') {
+  const g0 = g0Map(nationalOption);
+  if (g0.has(ch)) return { code: g0.get(ch) };
+  const code = ch.codePointAt(0);
+  // Teletext control codes (colour, box, size attributes) pass through
+  if (code < 0x20) return { code };
+  const latin = !NATIONAL_SUBSETS[nationalOption].g0;
+  if (NATIONAL_SUBSETS[nationalOption].shaped) return null;
+
+  // Plain ASCII displaced by the national subset: G0 character without diacritical mark
+  if (latin && code < 0x7F) return { code: 0x20, x26: { mode: 0x10, data: code } };
+
+  const [base, mark, ...rest] = ch.normalize('NFD');
+  if (mark && !rest.length && COMBINING_DIACRITICS.has(mark) && g0.has(base) && base.codePointAt(0) >= 0x40) {
+    return { code: g0.get(base), x26: { mode: 0x10 + COMBINING_DIACRITICS.get(mark), data: g0.get(base) } };
+  }
+
+  if (latin && G2_CHARACTERS.has(ch)) {
+    const placeholder = G2_PLACEHOLDERS.get(ch) ?? ' ';
+    return { code: placeholder.charCodeAt(0), x26: { mode: 0x0F, data: G2_CHARACTERS.get(ch) } };
+  }
+  return null;
+}
+
+/**
+ * Row character for level 1 only output (no X/26): the character if the subset has it, else its base letter, else "?".
+ * @param {string} ch
+ * @param {string} [nationalOption="english"]
+ * @returns {number} 7-bit code
+ */
+export function baseCharacter(ch, nationalOption = 'english') {
+  const resolved = resolveCharacter(ch, nationalOption);
+  if (!resolved) return 0x3F;
+  if (resolved.x26?.mode === 0x10) return resolved.x26.data; // displaced ASCII, closest glyph is the national one
+  return resolved.code === 0x20 && ch !== ' ' ? 0x3F : resolved.code;
+}
+
+/**
+ * Characters of the text that a page with the given character set cannot show (sent as "?").
+ * @param {string} text
+ * @param {string} [nationalOption="english"]
+ * @returns {string[]} distinct characters in order of appearance
+ */
+export function unmappableCharacters(text, nationalOption = 'english') {
+  const found = new Set();
+  for (const ch of text) {
+    if (!found.has(ch) && !resolveCharacter(ch, nationalOption)) found.add(ch);
+  }
+  return Array.from(found);
+}
+
+/** Inverse lookups used when decoding pages back to Unicode */
+const g0Characters = new Map();
+const G2_BY_CODE = new Map(Array.from(G2_CHARACTERS, ([ch, code]) => [code, ch]));
+const COMBINING_BY_DIACRITIC = new Map(Array.from(COMBINING_DIACRITICS, ([mark, index]) => [index, mark]));
+
+/**
+ * @param {number} code - 7-bit G0 code
+ * @param {string} [nationalOption="english"]
+ * @returns {string} Unicode character; control codes are returned unchanged, unassigned codes as a space
+ */
+export function g0Character(code, nationalOption = 'english') {
+  if (code < 0x20) return String.fromCharCode(code);
+  if (!g0Characters.has(nationalOption)) {
+    g0Characters.set(nationalOption, new Map(Array.from(g0Map(nationalOption), ([ch, c]) => [c, ch])));
+  }
+  return g0Characters.get(nationalOption).get(code) ?? ' ';
+}
+
+/**
+ * @param {number} code - 7-bit Latin G2 code
+ * @returns {string} Unicode character, or a space for codes without a mapping
+ */
+export function g2Character(code) {
+  return G2_BY_CODE.get(code) ?? ' ';
+}
+
+/**
+ * @param {string} ch - base character
+ * @param {number} diacritic - G2 column 4 index, 0 for none
+ * @returns {string} the character with the diacritical mark, precomposed where Unicode has it
+ */
+export function withDiacritic(ch, diacritic) {
+  const mark = COMBINING_BY_DIACRITIC.get(diacritic);
+  return mark ? (ch + mark).normalize('NFC') : ch;
+}
+
+/*
+  Arabic shaping. Unicode Arabic text is in logical order with plain letters; an Arabic teletext row holds presentation forms
+  (isolated, final, initial, medial) in visual order. The G0 set has only some forms of each letter: a form it lacks is shown
+  as another form of the same letter, so the text stays readable (the Arabic G2 set, which has the rest, is not used).
+*/
+
+/** Joining of Arabic letters: right-joining letters only join the letter before them; the others join both sides */
+const RIGHT_JOINING = new Set('آأؤإاةدذرزوى');
+const HARAKAT = /[\u064B-\u0652]/;
+const LAM = 'ل';
+/** Alef variants → lam-alef ligature (isolated form; the final form follows it) */
+const LAM_ALEF = new Map([['آ', '\uFEF5'], ['أ', '\uFEF7'], ['إ', '\uFEF9'], ['ا', '\uFEFB']]);
+
+/** Letter → presentation forms [isolated, final, initial, medial] (as many as it has), in Unicode's FE80 block order */
+const ARABIC_FORMS = (() => {
+  const forms = new Map();
+  let next = 0xFE80;
+  const letters = [...Array.from({ length: 0x1A }, (_, i) => 0x0621 + i), ...Array.from({ length: 0x0A }, (_, i) => 0x0641 + i)];
+  for (const code of letters) {
+    const letter = String.fromCharCode(code);
+    const count = letter === 'ء' ? 1 : RIGHT_JOINING.has(letter) ? 2 : 4;
+    forms.set(letter, Array.from({ length: count }, (_, i) => String.fromCharCode(next + i)));
+    next += count;
+  }
+  return forms;
+})();
+
+/** Presentation form → [letter, form index] */
+const ARABIC_FORM_OF = new Map(Array.from(ARABIC_FORMS).flatMap(([letter, forms]) => forms.map((form, i) => [form, [letter, i]])));
+
+const ISOLATED = 0;
+const FINAL = 1;
+const INITIAL = 2;
+const MEDIAL = 3;
+/** Form to show when the set lacks the wanted one */
+const FORM_FALLBACKS = [[ISOLATED, FINAL, INITIAL, MEDIAL], [FINAL, ISOLATED, MEDIAL, INITIAL], [INITIAL, MEDIAL, ISOLATED, FINAL], [MEDIAL, INITIAL, FINAL, ISOLATED]];
+
+/** @param {string} ch */
+const joinsBefore = (ch) => ARABIC_FORMS.has(ch) && ch !== 'ء' || ch === 'ـ';
+/** @param {string} ch */
+const joinsAfter = (ch) => ARABIC_FORMS.has(ch) && ch !== 'ء' && !RIGHT_JOINING.has(ch) || ch === 'ـ';
+
+/**
+ * Shape Arabic letters into the presentation forms of the page's G0 set.
+ * @param {string[]} chars - logical order
+ * @param {Set<string>} table - characters of the G0 set
+ * @returns {string[]}
+ */
+function shapeArabic(chars, table) {
+  const letterAt = (i, step) => {
+    for (let j = i + step; j >= 0 && j < chars.length; j += step) if (!HARAKAT.test(chars[j])) return chars[j];
+    return undefined;
+  };
+  const shaped = [];
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i];
+    if (HARAKAT.test(ch)) {
+      // Each in a cell of its own, as their isolated forms
+      shaped.push(String.fromCharCode(0xFE70 + (ch.charCodeAt(0) - 0x064B) * 2));
+      continue;
+    }
+    if (!ARABIC_FORMS.has(ch)) {
+      shaped.push(ch);
+      continue;
+    }
+    const joinedBefore = joinsAfter(letterAt(i, -1)) && joinsBefore(ch);
+    if (ch === LAM && LAM_ALEF.has(chars[i + 1])) {
+      const ligature = LAM_ALEF.get(chars[i + 1]);
+      const final = String.fromCharCode(ligature.charCodeAt(0) + 1);
+      shaped.push(joinedBefore && table.has(final) ? final : ligature);
+      i++;
+      continue;
+    }
+    const joinedAfter = joinsAfter(ch) && joinsBefore(letterAt(i, 1));
+    const wanted = joinedBefore ? (joinedAfter ? MEDIAL : FINAL) : (joinedAfter ? INITIAL : ISOLATED);
+    const forms = ARABIC_FORMS.get(ch);
+    // The set writes isolated forms of some letters as the plain letter
+    const shown = (form) => (form === ISOLATED && table.has(ch) ? ch : forms[form]);
+    shaped.push(FORM_FALLBACKS[wanted].map(shown).find((f) => table.has(f)) ?? ch);
+  }
+  return shaped;
+}
+
+/**
+ * Reverse a row for right to left display: the order of colour runs and the characters within each run, keeping runs of
+ * digits left to right. Its own inverse.
+ * @param {string[]} chars
+ * @returns {string[]}
+ */
+function reverseRow(chars) {
+  const runs = [];
+  for (const ch of chars) {
+    const attribute = ch.charCodeAt(0) < 0x20;
+    const last = runs[runs.length - 1];
+    // A run is its attributes, then its text
+    if (!last || (attribute && last.text.length)) runs.push({ attributes: [], text: [] });
+    runs[runs.length - 1][attribute ? 'attributes' : 'text'].push(ch);
+  }
+  const digit = /[0-9٠-٩]/;
+  return runs.reverse().flatMap(({ attributes, text }) => {
+    const reversed = [];
+    for (let end = text.length; end > 0;) {
+      let start = end - 1;
+      if (digit.test(text[start])) while (start > 0 && digit.test(text[start - 1])) start--;
+      reversed.push(...text.slice(start, end));
+      end = start;
+    }
+    return [...attributes, ...reversed];
+  });
+}
+
+/**
+ * Row text as it is sent: Arabic rows are shaped and put in visual order, other rows are unchanged.
+ * @param {string} text - logical order
+ * @param {string} [nationalOption="english"]
+ * @returns {string}
+ */
+export function toVisualOrder(text, nationalOption = 'english') {
+  if (!NATIONAL_SUBSETS[nationalOption]?.shaped) return text;
+  const { low, g0 } = NATIONAL_SUBSETS[nationalOption];
+  return reverseRow(shapeArabic(Array.from(text), new Set(low + g0))).join('');
+}
+
+/**
+ * Inverse of toVisualOrder, for decoded rows: plain letters in logical order.
+ * @param {string} text - visual order
+ * @param {string} [nationalOption="english"]
+ * @returns {string}
+ */
+export function toLogicalOrder(text, nationalOption = 'english') {
+  if (!NATIONAL_SUBSETS[nationalOption]?.shaped) return text;
+  return reverseRow(Array.from(text)).map((ch) => {
+    const code = ch.charCodeAt(0);
+    // Harakat are shown in cells of their own: back to combining marks
+    if (code >= 0xFE70 && code <= 0xFE7F) return String.fromCharCode(0x064B + ((code - 0xFE70) >> 1));
+    if (ARABIC_FORM_OF.has(ch)) return ARABIC_FORM_OF.get(ch)[0];
+    return ch >= '\uFEF5' && ch <= '\uFEFC' ? ch.normalize('NFKC') : ch;
+  }).join('');
+}
@@ -0,0 +1,106 @@
+/**
+ * Renders a decoded teletext page (see wst-decoder.js) as a 40×25 grid: HTML, plain text or ANSI terminal output.
+ * Like a decoder showing a subtitle page, only boxed cells are visible; everything else is video.
+ */
+
+const COLUMNS = 40;
+const ROWS = 25;
+
+/** Teletext colours 0–7 as CSS colours */
+const CSS_COLOURS = ['#000', '#f00', '#0f0', '#ff0', '#00f', '#f0f', '#0ff', '#fff'];
+
+/**
+ * @typedef {import('./wst-decoder.js').DecodedPage} DecodedPage
+ * @typedef {import('./wst-decoder.js').Cell} Cell
+ */
+
+/** A cell outside any box, shown as video */
+const VIDEO_CELL = { ch: ' ', fg: 7, bg: 0, boxed: false, doubleHeight: false };
+
+/**
+ * Cells of all 25 rows (row 0 is the suppressed header). The row below a double height row is covered by it.
+ * @param {DecodedPage | undefined} page
+ * @returns {(Cell | null)[][]} null marks a cell covered by double height text from the row above
+ */
+function grid(page) {
+  const rows = Array.from({ length: ROWS }, () => Array(COLUMNS).fill(VIDEO_CELL));
+  for (const { row, cells } of page?.rows ?? []) {
+    if (row >= ROWS) continue;
+    rows[row] = cells.map((cell) => (cell.boxed ? cell : VIDEO_CELL));
+  }
+  for (let row = 1; row < ROWS - 1; row++) {
+    if (rows[row].some((cell) => cell?.boxed && cell.doubleHeight)) rows[row + 1] = Array(COLUMNS).fill(null);
+  }
+  return rows;
+}
+
+function escapeHTML(text) {
+  return text.replace(/[&<>"]/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+}
+
+/**
+ * @param {DecodedPage | undefined} page
+ * @returns {string} plain text, one line per row
+ */
+export function renderText(page) {
+  return grid(page)
+    .map((cells) => cells.map((cell) => cell?.ch ?? ' ').join('').trimEnd())
+    .join('\n');
+}
+
+/**
+ * @param {DecodedPage | undefined} page
+ * @returns {string} rows with ANSI colour escapes; video cells use the terminal's default colours
+ */
+export function renderANSI(page) {
+  return grid(page)
+    .map((cells) => {
+      let out = '';
+      for (const cell of cells) {
+        // ANSI colour numbers 0–7 follow the teletext colour order
+        out += cell?.boxed ? `\x1b[3${cell.fg};4${cell.bg}m${cell.ch}` : `\x1b[0m `;
+      }
+      return out + '\x1b[0m';
+    })
+    .join('\n');
+}
+
+/**
+ * @param {DecodedPage | undefined} page
+ * @returns {string} standalone HTML document
+ */
+export function renderHTML(page) {
+  const rows = grid(page).map((cells) => {
+    const spans = cells.map((cell) => {
+      if (!cell) return '<span class="c"> </span>';
+      if (!cell.boxed) return '<span class="c v"> </span>';
+      const style = `color:${CSS_COLOURS[cell.fg]};background:${CSS_COLOURS[cell.bg]}`;
+      const ch = escapeHTML(cell.ch);
+      return `<span class="c" style="${style}">${cell.doubleHeight ? `<span class="dh">${ch}</span>` : ch}</span>`;
+    });
+    return `<div class="r">${spans.join('')}</div>`;
+  });
+  const title = page ? `Page ${page.magazine}${page.page.toString(16).toUpperCase().padStart(2, '0')}` : 'No page sent';
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+  body { background: #222; color: #ccc; font-family: sans-serif; }
+  .page { display: inline-block; background: #456; font-family: monospace; font-size: 20px; line-height: 1; padding: 8px; }
+  .r { height: 1em; white-space: pre; }
+  .c { display: inline-block; width: 0.6em; height: 1em; overflow: visible; vertical-align: top; }
+  .v { background: transparent; }
+  .dh { display: inline-block; transform: scaleY(2); transform-origin: top; }
+</style>
+</head>
+<body>
+<p>${title}</p>
+<div class="page">
+${rows.join('\n')}
+</div>
+</body>
+</html>
+`;
+}
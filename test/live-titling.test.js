@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import WSTEncoder from '../wst-encoder.js';
+import { TeletextDecoder } from '../wst-decoder.js';
+import { LiveTitling } from '../live-titling.js';
+
+/**
+ * Stands in for CasparClient: encodes what is sent and decodes it as a receiver would.
+ */
+function loopback() {
+  const encoder = new WSTEncoder({ magazine: 0, page: 0x88 });
+  const decoder = new TeletextDecoder();
+  return {
+    decoder,
+    sendTitle(lines, options) {
+      decoder.decodePackets(encoder.encodeSubtitle(lines, options));
+    },
+    clearTitle() {
+      decoder.decodePackets(encoder.encodeSubtitle([]));
+    },
+  };
+}
+
+/** @param {ReturnType<typeof loopback>} caspar */
+const rowsOnAir = (caspar) => caspar.decoder.page(8, 0x88).rows.map(({ row, text }) => [row, text]);
+
+test('roll-up rows fill the area from the bottom and scroll up', () => {
+  const caspar = loopback();
+  const live = new LiveTitling(caspar, { mode: 'rollup', rollUpRows: 2, idleTimeout: 0 });
+  live.push('Good evening', { row: 10 });
+  assert.deepEqual(rowsOnAir(caspar), [[11, 'Good evening']]);
+  assert.equal(live.push('and welcome to the news from Prague at ten o\'clock', { row: 10 }), 1);
+  assert.deepEqual(rowsOnAir(caspar), [[10, 'Good evening and welcome to the news'], [11, 'from Prague at ten o\'clock']]);
+  live.stop();
+});
+
+test('a double height roll-up area starts on the given row', () => {
+  const caspar = loopback();
+  const live = new LiveTitling(caspar, { mode: 'rollup', rollUpRows: 3, idleTimeout: 0 });
+  live.push('One', { row: 4, doubleHeight: true });
+  assert.deepEqual(rowsOnAir(caspar), [[8, 'One']]);
+  live.push('two three four five six seven eight nine ten eleven', { row: 4, doubleHeight: true });
+  live.push('twelve thirteen fourteen fifteen sixteen seventeen', { row: 4, doubleHeight: true });
+  assert.deepEqual(rowsOnAir(caspar).map(([row]) => row), [4, 6, 8]);
+  assert.ok(caspar.decoder.page(8, 0x88).rows.every((row) => row.cells.some((cell) => cell.doubleHeight)));
+  live.stop();
+});
+
+test('without a row the roll-up area ends on row 20', () => {
+  const caspar = loopback();
+  const live = new LiveTitling(caspar, { mode: 'rollup', rollUpRows: 4, idleTimeout: 0 });
+  live.push('Hello');
+  assert.deepEqual(rowsOnAir(caspar), [[20, 'Hello']]);
+  live.stop();
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MediaClock } from '../media-clock.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+test('has no time before the first update', () => {
+  const clock = new MediaClock();
+  assert.equal(clock.now(1000), null);
+  assert.equal(clock.rate, 0);
+  clock.update(10, 1000);
+  assert.equal(clock.now(1000), 10);
+  assert.equal(clock.rate, 1);
+});
+
+test('extrapolates between updates for at most half a second', () => {
+  const clock = new MediaClock();
+  clock.update(10, 1000);
+  close(clock.now(1200), 10.2);
+  close(clock.now(1500), 10.5);
+  close(clock.now(3000), 10.5);
+});
+
+test('only nudges the clock towards an update near the prediction', () => {
+  const clock = new MediaClock();
+  clock.update(10, 1000);
+  // 0.1 s ahead of the prediction: a fifth of the error is taken, and the rate moves a little towards 1.5
+  clock.update(10.3, 1200);
+  close(clock.now(1200), 10.22);
+  close(clock.rate, 1.025);
+  close(clock.now(1400), 10.22 + 0.2 * 1.025);
+});
+
+test('never runs backwards when an update lands behind the time already read', () => {
+  const clock = new MediaClock();
+  clock.update(10, 1000);
+  close(clock.now(1200), 10.2);
+  clock.update(10.05, 1200);
+  close(clock.now(1200), 10.2);
+  assert.ok(clock.now(1300) >= 10.2);
+});
+
+test('snaps to an update far from the prediction', () => {
+  const clock = new MediaClock();
+  clock.update(10, 1000);
+  close(clock.now(1200), 10.2);
+  clock.update(30, 1200);
+  assert.equal(clock.now(1200), 30);
+  // A seek backwards snaps too, even below the time already read
+  clock.update(5, 1300);
+  assert.equal(clock.now(1300), 5);
+  close(clock.now(1400), 5.1);
+});
+
+test('stands still while the time repeats and runs again when it moves', () => {
+  const clock = new MediaClock();
+  clock.update(10, 1000);
+  clock.update(10.04, 1040);
+  clock.update(10.04, 1080);
+  assert.equal(clock.rate, 0);
+  assert.equal(clock.now(1400), 10.04);
+  clock.update(10.08, 1500);
+  assert.equal(clock.rate, 1);
+  close(clock.now(1600), 10.18);
+});
+
+test('learns the rate only from updates far enough apart and plausible', () => {
+  const clock = new MediaClock();
+  clock.update(10, 1000);
+  // Two updates in one bundle
+  clock.update(10.001, 1005);
+  assert.equal(clock.rate, 1);
+  // Reordered packet: time went back a little
+  clock.update(9.99, 1100);
+  assert.equal(clock.rate, 1);
+  // Steady playback at double speed draws the rate up step by step
+  let time = 9.99;
+  for (let at = 1140; at <= 3140; at += 40) clock.update((time += 0.08), at);
+  assert.ok(clock.rate > 1.9 && clock.rate < 2, `rate ${clock.rate}`);
+});
+
+test('forgets the time on reset', () => {
+  const clock = new MediaClock();
+  clock.update(10, 1000);
+  clock.reset();
+  assert.equal(clock.now(1100), null);
+  assert.equal(clock.rate, 0);
+  clock.update(3, 1200);
+  assert.equal(clock.now(1200), 3);
+});
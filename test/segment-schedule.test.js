@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SegmentSchedule } from '../titling-engine.js';
+
+/**
+ * @param {number} start
+ * @param {number} end
+ * @param {string} text - one line
+ */
+const segment = (start, end, text) => ({ start, end, lines: [text] });
+
+/** @param {import('../titling-engine.js').DisplayState} state */
+const shown = (state) => state.display?.lines ?? null;
+
+test('nothing is on air in an empty schedule', () => {
+  const schedule = new SegmentSchedule([]);
+  assert.deepEqual(schedule.displayStateAt(0), { start: -Infinity, end: Infinity, indexes: [], display: null, held: false });
+  assert.equal(schedule.nextChange(0), Infinity);
+  assert.equal(schedule.nextSegment(0), -1);
+});
+
+test('a segment is on air from its start up to its end', () => {
+  const schedule = new SegmentSchedule([segment(1, 3, 'One')]);
+  assert.equal(shown(schedule.displayStateAt(0.999)), null);
+  assert.deepEqual(shown(schedule.displayStateAt(1)), ['One']);
+  assert.deepEqual(shown(schedule.displayStateAt(2.999)), ['One']);
+  assert.equal(shown(schedule.displayStateAt(3)), null);
+  assert.deepEqual(schedule.displayStateAt(2).indexes, [0]);
+  assert.equal(schedule.displayStateAt(2).start, 1);
+  assert.equal(schedule.displayStateAt(2).end, 3);
+});
+
+test('nextChange gives the next state boundary after the time', () => {
+  const schedule = new SegmentSchedule([segment(1, 3, 'One'), segment(8, 9, 'Two')]);
+  assert.equal(schedule.nextChange(-5), 1);
+  assert.equal(schedule.nextChange(1), 3);
+  assert.equal(schedule.nextChange(3), 8);
+  assert.equal(schedule.nextChange(8.5), 9);
+  assert.equal(schedule.nextChange(9), Infinity);
+});
+
+test('nextSegment gives the first segment starting after the time', () => {
+  const schedule = new SegmentSchedule([segment(8, 9, 'Two'), segment(1, 3, 'One')]);
+  assert.deepEqual(schedule.segments.map((seg) => seg.lines[0]), ['One', 'Two']);
+  assert.equal(schedule.nextSegment(0), 0);
+  assert.equal(schedule.nextSegment(1), 1);
+  assert.equal(schedule.nextSegment(5), 1);
+  assert.equal(schedule.nextSegment(8), -1);
+});
+
+test('segments that end where they start are never on air', () => {
+  const schedule = new SegmentSchedule([segment(2, 2, 'Empty'), segment(3, 4, 'One')]);
+  assert.equal(schedule.segments.length, 1);
+  assert.equal(shown(schedule.displayStateAt(2)), null);
+});
+
+test('merge shows overlapping segments together, the earlier one first', () => {
+  const schedule = new SegmentSchedule([segment(1, 4, 'Anna'), segment(2, 5, 'Petr')], { overlap: 'merge' });
+  assert.deepEqual(shown(schedule.displayStateAt(1.5)), ['Anna']);
+  const both = schedule.displayStateAt(3);
+  assert.deepEqual(both.indexes, [0, 1]);
+  assert.deepEqual(shown(both), ['Anna', 'Petr']);
+  assert.equal(both.display.start, 2);
+  assert.equal(both.display.end, 4);
+  assert.deepEqual(shown(schedule.displayStateAt(4.5)), ['Petr']);
+});
+
+test('stack shows the latest segment and brings back the one it covered', () => {
+  const schedule = new SegmentSchedule([segment(1, 6, 'Anna'), segment(2, 4, 'Petr')], { overlap: 'stack' });
+  const before = schedule.displayStateAt(1.5);
+  assert.deepEqual(shown(before), ['Anna']);
+  assert.deepEqual(shown(schedule.displayStateAt(3)), ['Petr']);
+  assert.deepEqual(schedule.displayStateAt(3).indexes, [0, 1]);
+  const after = schedule.displayStateAt(5);
+  assert.deepEqual(shown(after), ['Anna']);
+  // The same subtitle is the same display object, so nothing needs sending again
+  assert.equal(after.display, before.display);
+});
+
+test('an unknown overlap policy is refused', () => {
+  assert.throws(() => new SegmentSchedule([], { overlap: 'replace' }), /Overlap/);
+});
+
+test('a subtitle is held through a gap up to holdGap long', () => {
+  const schedule = new SegmentSchedule([segment(1, 2, 'One'), segment(4, 5, 'Two'), segment(7.001, 8, 'Three')], { holdGap: 2 });
+  // Exactly holdGap: held
+  const held = schedule.displayStateAt(3);
+  assert.equal(held.held, true);
+  assert.deepEqual(shown(held), ['One']);
+  assert.equal(held.display, schedule.displayStateAt(1).display);
+  assert.equal(held.end, 4);
+  assert.equal(schedule.nextChange(2), 4);
+  // Just over holdGap: cleared
+  const gap = schedule.displayStateAt(6);
+  assert.equal(gap.held, false);
+  assert.equal(shown(gap), null);
+});
+
+test('nothing is held before the first or after the last subtitle', () => {
+  const schedule = new SegmentSchedule([segment(1, 2, 'One')], { holdGap: 5 });
+  assert.equal(shown(schedule.displayStateAt(0.5)), null);
+  assert.equal(shown(schedule.displayStateAt(2.5)), null);
+});
+
+test('holdGap 0 clears at every gap', () => {
+  const schedule = new SegmentSchedule([segment(1, 2, 'One'), segment(2.04, 3, 'Two')], { holdGap: 0 });
+  assert.equal(shown(schedule.displayStateAt(2.02)), null);
+  assert.equal(schedule.nextChange(2), 2.04);
+});
+
+test('with a frame rate, segment times fall on frame starts', () => {
+  const schedule = new SegmentSchedule([segment(1.01, 2.03, 'One')], { frameRate: '25' });
+  assert.equal(schedule.segments[0].start, 1);
+  assert.equal(schedule.segments[0].end, 2);
+  assert.deepEqual(shown(schedule.displayStateAt(1.005)), ['One']);
+  assert.equal(shown(schedule.displayStateAt(2.01)), null);
+});
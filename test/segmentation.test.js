@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { balancedPages, describeIssue, fitReadingSpeed, readableLength } from '../segmentation.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+test('splits a cue into two balanced lines', () => {
+  assert.deepEqual(balancedPages('The quick brown fox jumps over the lazy dog near the river bank', { charsPerLine: 37, maxLines: 2 }), [
+    ['The quick brown fox jumps over', 'the lazy dog near the river bank'],
+  ]);
+  assert.deepEqual(balancedPages('Short', { charsPerLine: 37, maxLines: 2 }), [['Short']]);
+  assert.deepEqual(balancedPages('  ', { charsPerLine: 37, maxLines: 2 }), []);
+  assert.equal(balancedPages('Supercalifragilisticexpialidocious', { charsPerLine: 10, maxLines: 2 }), null);
+});
+
+test('breaks at sentence and clause ends', () => {
+  assert.deepEqual(balancedPages('I went home. Then I slept for a very long time that night', { charsPerLine: 37, maxLines: 2 }), [
+    ['I went home. Then I slept', 'for a very long time that night'],
+  ]);
+  const long = 'He said that he would come back to the house later tonight, but he never did, '
+    + 'and we waited for him all night long until the sun rose over the hills';
+  assert.deepEqual(balancedPages(long, { charsPerLine: 37, maxLines: 2 }), [
+    ['He said that he would come back', 'to the house later tonight,'],
+    ['but he never did,', 'and we waited for him'],
+    ['all night long until', 'the sun rose over the hills'],
+  ]);
+});
+
+test('keeps weak words with the words after them', () => {
+  const lines = balancedPages('We walked along the road to the old mill by the water', { charsPerLine: 37, maxLines: 2 })[0];
+  assert.deepEqual(lines, ['We walked along the road', 'to the old mill by the water']);
+
+  const german = 'Ich gehe mit dem Hund in den Park und dann nach Hause zurück';
+  const pages = balancedPages(german, { charsPerLine: 30, maxLines: 2, language: 'de' });
+  for (const line of pages.flat()) assert.ok(!/ (dem|den|in|und|mit)$/.test(line), line);
+  // Without weak words the same text may break after an article
+  assert.deepEqual(balancedPages(german, { charsPerLine: 30, maxLines: 2, weakWords: [] })[0], ['Ich gehe mit dem', 'Hund in den Park']);
+});
+
+test('carries colours onto the next line and does not count them', () => {
+  assert.equal(readableLength('\x03Yellow'), 6);
+  assert.deepEqual(balancedPages('Hello \x03yellow world and more words here to wrap the line', { charsPerLine: 20, maxLines: 2 }), [
+    ['Hello\x03yellow world', '\x03and more words here'],
+    ['\x03to wrap the line'],
+  ]);
+});
+
+test('leaves cues long enough to read as they are', () => {
+  const cues = [{ start: 1, end: 4, pages: [{ lines: ['Plenty of time'] }, { lines: ['for both pages'] }] }];
+  assert.deepEqual(fitReadingSpeed(cues), []);
+  assert.deepEqual(cues[0], {
+    start: 1,
+    end: 4,
+    pages: [{ lines: ['Plenty of time'], start: 1, end: 2.5 }, { lines: ['for both pages'], start: 2.5, end: 4 }],
+  });
+});
+
+test('extends a short cue to the minimum duration', () => {
+  const cues = [{ start: 1, end: 1.3, pages: [{ lines: ['Hi'] }] }];
+  assert.deepEqual(fitReadingSpeed(cues), []);
+  assert.equal(cues[0].end, 2);
+  assert.deepEqual(cues[0].pages[0], { lines: ['Hi'], start: 1, end: 2 });
+  fitReadingSpeed(cues, { minDuration: 1.5 });
+  assert.equal(cues[0].end, 2.5);
+});
+
+test('extends a fast cue to the reading speed, up to the next cue', () => {
+  const text = 'Thirty four characters to be read.';
+  const cues = (nextStart) => [
+    { start: 0, end: 1, pages: [{ lines: [text] }] },
+    { start: nextStart, end: nextStart + 2, pages: [{ lines: ['Next'] }] },
+  ];
+  const fast = cues(10);
+  fitReadingSpeed(fast, { maxCps: 17 });
+  assert.equal(fast[0].end, 2);
+  const slow = cues(10);
+  fitReadingSpeed(slow, { maxCps: 10 });
+  close(slow[0].end, 3.4);
+  // The next cue stops it, two frames short
+  const crowded = cues(3);
+  fitReadingSpeed(crowded, { maxCps: 10 });
+  close(crowded[0].end, 2.92);
+});
+
+test('borrows from the gap before a cue when the gap after is used up', () => {
+  const cues = [
+    { start: 1, end: 2, pages: [{ lines: ['Hi'] }] },
+    { start: 3, end: 4, pages: [{ lines: ['This line has exactly forty characters.'] }, { lines: ['Short one'] }] },
+    { start: 4.2, end: 7, pages: [{ lines: ['Last'] }] },
+  ];
+  const issues = fitReadingSpeed(cues);
+  close(cues[1].start, 2.08);
+  close(cues[1].end, 4.12);
+  // Still short of the time both pages need, which is shared in proportion
+  const needs = [39 / 17, 1];
+  close(cues[1].pages[0].end - cues[1].pages[0].start, 2.04 * (needs[0] / (needs[0] + needs[1])));
+  assert.equal(cues[1].pages[1].end, 4.12);
+  assert.equal(issues.length, 1);
+});
+
+test('reports cues that still cannot be read in time', () => {
+  const cues = [
+    { start: 0.1, end: 0.2, pages: [{ lines: ['Zero'] }] },
+    { start: 1, end: 1.5, pages: [{ lines: ['\x03Coloured text that is far too fast'] }] },
+    { start: 1.6, end: 5, pages: [{ lines: ['Next'] }] },
+  ];
+  const issues = fitReadingSpeed(cues);
+  // Not moved before the start of the programme
+  assert.equal(cues[0].start, 0);
+  close(cues[0].end, 0.92);
+  assert.equal(issues.length, 2);
+  assert.equal(issues[0].text, 'Zero');
+  close(issues[0].shortest, 0.92);
+  assert.equal(issues[1].text, 'Coloured text that is far too fast');
+  close(issues[1].start, 1);
+  close(issues[1].cps, 34 / 0.52);
+  assert.equal(
+    describeIssue(issues[0]),
+    'Cue at 00:00:00.000 ("Zero") is too fast to read: a page shown for 0.92 s (minimum 1 s)',
+  );
+  assert.equal(
+    describeIssue(issues[1]),
+    'Cue at 00:00:01.000 ("Coloured text that is far too …") is too fast to read: 65.4 characters per second (limit 17), a page shown for 0.52 s (minimum 1 s)',
+  );
+});
+
+test('applies no limits when they are turned off', () => {
+  const cues = [{ start: 1, end: 1.1, pages: [{ lines: ['A long line read in no time at all'] }] }];
+  assert.deepEqual(fitReadingSpeed(cues, { minDuration: 0, maxCps: 0 }), []);
+  assert.equal(cues[0].end, 1.1);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import { parseSRT } from '../srt-parser.js';
+import { detectSubtitleFormat } from '../subtitle-loader.js';
+import { Colour } from '../teletext-attributes.js';
+
+const SRT = [
+  '\uFEFF1',
+  '00:00:01,500 --> 00:00:03,250',
+  'Good evening.',
+  '',
+  '2',
+  '00:00:04,000 --> 00:01:02,5',
+  'Two lines',
+  'in one cue',
+  '',
+  '10',
+  '01:00:00.040 --> 01:00:01.000',
+  '<i>Italic</i> and <b>bold</b>',
+  '',
+].join('\r\n');
+
+test('cue times are read with comma or dot and short milliseconds', () => {
+  const cues = parseSRT(SRT);
+  assert.deepEqual(cues.map(({ start, end }) => [start, end]), [[1.5, 3.25], [4, 62.5], [3600.04, 3601]]);
+});
+
+test('cue indexes are skipped and lines of a cue are joined', () => {
+  const cues = parseSRT(SRT);
+  assert.deepEqual(cues.map((cue) => cue.text), ['Good evening.', 'Two lines in one cue', 'Italic and bold']);
+});
+
+test('font colours become teletext colour codes', () => {
+  const [cue] = parseSRT('1\n00:00:01,000 --> 00:00:02,000\nSay <font color="yellow">hello</font> <font color="#00ffff">there</font>\n');
+  assert.equal(cue.text, `Say ${String.fromCharCode(Colour.Yellow)}hello ${String.fromCharCode(Colour.Cyan)}there`);
+});
+
+test('cues without text are dropped', () => {
+  assert.deepEqual(parseSRT('1\n00:00:01,000 --> 00:00:02,000\n\n2\n00:00:03,000 --> 00:00:04,000\nText\n'), [{ start: 3, end: 4, text: 'Text' }]);
+});
+
+test('the format is detected by extension, or by content', () => {
+  const srt = Buffer.from('1\n00:00:01,000 --> 00:00:02,000\nText\n');
+  const vtt = Buffer.from('WEBVTT\n\n00:01.000 --> 00:02.000\nText\n');
+  assert.equal(detectSubtitleFormat('film.SRT', vtt), 'srt');
+  assert.equal(detectSubtitleFormat('film.txt', srt), 'srt');
+  assert.equal(detectSubtitleFormat('film.txt', vtt), 'vtt');
+  assert.equal(detectSubtitleFormat('film.txt', Buffer.from('Just text')), null);
+});
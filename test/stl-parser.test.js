@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import { isSTL, parseSTL } from '../stl-parser.js';
+import { Colour } from '../teletext-attributes.js';
+
+/**
+ * GSI block of a 25 fps teletext file.
+ * @param {{ programmeStart?: string, displayStandard?: string, characterTable?: string }} [fields]
+ */
+function gsi({ programmeStart = '10000000', displayStandard = '1', characterTable = '00' } = {}) {
+  const block = Buffer.alloc(1024, 0x20);
+  block.write('850STL25.01', 0, 'latin1');
+  block.write(displayStandard, 11, 'latin1');
+  block.write(characterTable, 12, 'latin1');
+  block.write('23', 253, 'latin1');
+  block.write(programmeStart, 256, 'latin1');
+  return block;
+}
+
+/**
+ * TTI block.
+ * @param {{ number: number, extension?: number, start: number[], end: number[], row?: number, justification?: number, comment?: boolean, text: number[] }} fields
+ *   start, end: hours, minutes, seconds, frames
+ */
+function tti({ number, extension = 0xFF, start, end, row = 20, justification = 2, comment = false, text }) {
+  const block = Buffer.alloc(128, 0x8F);
+  block[0] = 0;
+  block.writeUInt16LE(number, 1);
+  block[3] = extension;
+  block[4] = 0;
+  block.set(start, 5);
+  block.set(end, 9);
+  block[13] = row;
+  block[14] = justification;
+  block[15] = comment ? 1 : 0;
+  block.set(text, 16);
+  return block;
+}
+
+const ascii = (text) => Array.from(Buffer.from(text, 'latin1'));
+
+test('a GSI block is recognised', () => {
+  assert.ok(isSTL(gsi()));
+  assert.ok(!isSTL(Buffer.from('WEBVTT')));
+  assert.throws(() => parseSTL(Buffer.alloc(1024)), /Not an EBU STL file/);
+});
+
+test('cue times are relative to the start of programme', () => {
+  const { header, cues } = parseSTL(Buffer.concat([
+    gsi(),
+    tti({ number: 1, start: [10, 0, 1, 12], end: [10, 0, 3, 0], text: ascii('Hello') }),
+  ]));
+  assert.equal(header.frameRate, 25);
+  assert.equal(header.programmeStart, 10 * 3600 * 25);
+  assert.deepEqual(cues.map(({ start, end }) => [start, end]), [[1.48, 3]]);
+});
+
+test('cues authored from zero are not moved by the start of programme', () => {
+  const { cues } = parseSTL(Buffer.concat([gsi(), tti({ number: 1, start: [0, 0, 2, 0], end: [0, 0, 4, 0], text: ascii('Hello') })]));
+  assert.deepEqual([cues[0].start, cues[0].end], [2, 4]);
+});
+
+test('row, justification, double height and colours are kept', () => {
+  const { cues } = parseSTL(Buffer.concat([
+    gsi(),
+    tti({ number: 1, start: [10, 0, 0, 0], end: [10, 0, 1, 0], row: 18, justification: 1, text: [0x0D, Colour.Yellow, ...ascii('Line one'), 0x8A, 0x8A, ...ascii('two')] }),
+  ]));
+  assert.deepEqual(cues[0], { start: 0, end: 1, text: `${String.fromCharCode(Colour.Yellow)}Line one two`, row: 18, align: 'start', doubleHeight: true });
+});
+
+test('ISO 6937 diacritics combine with the letter after them', () => {
+  const { cues } = parseSTL(Buffer.concat([
+    gsi(),
+    tti({ number: 1, start: [10, 0, 0, 0], end: [10, 0, 1, 0], text: [0xCF, 0x63, ...ascii('au '), 0xC2, 0x65, ...ascii('t'), 0xC8, 0x75, 0xF8] }),
+  ]));
+  assert.equal(cues[0].text, 'čau étüł');
+});
+
+test('a subtitle continues across extension blocks', () => {
+  const { cues } = parseSTL(Buffer.concat([
+    gsi(),
+    tti({ number: 1, extension: 0, start: [10, 0, 0, 0], end: [10, 0, 2, 0], text: ascii('First block,') }),
+    tti({ number: 1, extension: 0xFF, start: [10, 0, 0, 0], end: [10, 0, 2, 0], text: ascii(' second block') }),
+    tti({ number: 2, start: [10, 0, 3, 0], end: [10, 0, 4, 0], text: ascii('Next') }),
+  ]));
+  assert.deepEqual(cues.map((cue) => cue.text), ['First block, second block', 'Next']);
+});
+
+test('comment and user data blocks are skipped', () => {
+  const { cues } = parseSTL(Buffer.concat([
+    gsi(),
+    tti({ number: 1, comment: true, start: [10, 0, 0, 0], end: [10, 0, 1, 0], text: ascii('Note to self') }),
+    tti({ number: 2, extension: 0xFE, start: [10, 0, 0, 0], end: [10, 0, 1, 0], text: ascii('User data') }),
+    tti({ number: 3, start: [10, 0, 2, 0], end: [10, 0, 3, 0], text: ascii('Shown') }),
+  ]));
+  assert.deepEqual(cues.map((cue) => cue.text), ['Shown']);
+});
+
+test('open subtitling rows are scaled onto the teletext rows', () => {
+  const { cues } = parseSTL(Buffer.concat([
+    gsi({ displayStandard: '0' }),
+    tti({ number: 1, row: 23, start: [10, 0, 0, 0], end: [10, 0, 1, 0], text: ascii('Bottom') }),
+    tti({ number: 2, row: 1, start: [10, 0, 2, 0], end: [10, 0, 3, 0], text: ascii('Top') }),
+  ]));
+  assert.deepEqual(cues.map((cue) => cue.row), [23, 1]);
+});
+
+test('character code table 01 decodes Cyrillic', () => {
+  const { cues } = parseSTL(Buffer.concat([
+    gsi({ characterTable: '01' }),
+    // ISO 8859-5: П Р И В Е Т
+    tti({ number: 1, start: [10, 0, 0, 0], end: [10, 0, 1, 0], text: [0xBF, 0xC0, 0xB8, 0xB2, 0xB5, 0xC2] }),
+  ]));
+  assert.equal(cues[0].text, 'ПРИВЕТ');
+});
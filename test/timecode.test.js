@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  frameRate,
+  framesToSeconds,
+  framesToTimecode,
+  isTimecode,
+  secondsToFrames,
+  timecodeToFrames,
+  timecodeToSeconds,
+} from '../timecode.js';
+
+test('parses frame rate names and numbers', () => {
+  assert.deepEqual(frameRate('25'), { fps: 25, base: 25, dropFrame: false, name: '25' });
+  assert.equal(frameRate('29.97df').dropFrame, true);
+  assert.equal(frameRate('29.97NDF').name, '29.97');
+  // A number names the non-drop rate, matched to the nearest hundredth
+  assert.equal(frameRate(29.97).name, '29.97');
+  assert.equal(frameRate(23.98).name, '23.976');
+  assert.equal(frameRate(59.94).dropFrame, false);
+  const custom = { fps: 25, base: 25, dropFrame: false, name: '25' };
+  assert.equal(frameRate(custom), custom);
+  assert.throws(() => frameRate('48'), /Unsupported frame rate: 48/);
+});
+
+test('recognises timecodes', () => {
+  assert.ok(isTimecode('10:00:00:00'));
+  assert.ok(isTimecode('1:02:03;04'));
+  assert.ok(isTimecode(' 00:00:59.29 '));
+  assert.ok(!isTimecode('00:00:00'));
+  assert.ok(!isTimecode('00:00:00:000'));
+  assert.ok(!isTimecode(90));
+});
+
+test('converts non-drop timecode at 25 fps', () => {
+  assert.equal(timecodeToFrames('10:00:00:00', 25), 900000);
+  assert.equal(timecodeToFrames('00:01:02:03', 25), 1553);
+  assert.equal(framesToTimecode(1553, 25), '00:01:02:03');
+  assert.equal(timecodeToSeconds('00:00:01:12', 25), 1.48);
+  // The hours wrap at midnight
+  assert.equal(framesToTimecode(timecodeToFrames('23:59:59:24', 25) + 1, 25), '00:00:00:00');
+  assert.throws(() => timecodeToFrames('00:00:00:25', 25), /Invalid timecode/);
+  assert.throws(() => timecodeToFrames('00:60:00:00', 25), /Invalid timecode/);
+});
+
+test('skips two frame numbers a minute at 29.97 drop-frame, except every tenth minute', () => {
+  assert.equal(framesToTimecode(1799, '29.97df'), '00:00:59;29');
+  assert.equal(framesToTimecode(1800, '29.97df'), '00:01:00;02');
+  assert.equal(timecodeToFrames('00:01:00;02', '29.97df'), 1800);
+  assert.equal(timecodeToFrames('00:10:00;00', '29.97df'), 17982);
+  assert.equal(framesToTimecode(17982, '29.97df'), '00:10:00;00');
+  assert.equal(framesToTimecode(17984, '29.97df'), '00:10:00;02');
+  assert.equal(timecodeToFrames('01:00:00;00', '29.97df'), 107892);
+  // An hour of drop-frame timecode is an hour of real time to within a frame
+  assert.ok(Math.abs(timecodeToSeconds('01:00:00;00', '29.97df') - 3600) < 1 / 29.97);
+  // The same timecode at the non-drop rate counts every frame number
+  assert.equal(timecodeToFrames('00:10:00:00', '29.97'), 18000);
+  assert.equal(framesToTimecode(18000, '29.97'), '00:10:00:00');
+});
+
+test('skips four frame numbers a minute at 59.94 drop-frame', () => {
+  assert.equal(framesToTimecode(3600, '59.94df'), '00:01:00;04');
+  assert.equal(timecodeToFrames('00:01:00;04', '59.94df'), 3600);
+  assert.equal(timecodeToFrames('00:10:00;00', '59.94df'), 35964);
+});
+
+test('round-trips every drop-frame frame through timecode', () => {
+  for (const rate of ['29.97df', '59.94df']) {
+    const { base } = frameRate(rate);
+    // Every frame of the first eleven minutes, then a sample across the day
+    for (let frames = 0; frames < base * 60 * 11; frames++) {
+      assert.equal(timecodeToFrames(framesToTimecode(frames, rate), rate), frames);
+    }
+    for (let frames = 0; frames < base * 86000; frames += 997) {
+      assert.equal(timecodeToFrames(framesToTimecode(frames, rate), rate), frames);
+    }
+  }
+});
+
+test('converts between frames and seconds of real time', () => {
+  assert.equal(framesToSeconds(50, 25), 2);
+  assert.ok(Math.abs(framesToSeconds(30, '29.97') - 1.001) < 1e-9);
+  assert.equal(secondsToFrames(1.001, '29.97'), 30);
+  assert.equal(secondsToFrames(1.999, 25), 49);
+  // Float error on an exact frame boundary does not fall back a frame
+  assert.equal(secondsToFrames(0.1 + 0.2 + 0.7, 25), 25);
+  assert.equal(secondsToFrames(framesToSeconds(1234, '23.976'), '23.976'), 1234);
+});
@@ -0,0 +1,158 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTTML } from '../ttml-parser.js';
+import { Colour } from '../teletext-attributes.js';
+
+/**
+ * TTML document around a body.
+ * @param {string} body - content of <body>
+ * @param {{ attrs?: string, head?: string }} [options] - extra <tt> attributes and <head> content
+ */
+function ttml(body, { attrs = '', head = '' } = {}) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<tt xmlns="http://www.w3.org/ns/ttml" xmlns:tts="http://www.w3.org/ns/ttml#styling"
+    xmlns:ttp="http://www.w3.org/ns/ttml#parameter" xml:lang="en" ${attrs}>
+  <head>${head}</head>
+  <body>${body}</body>
+</tt>`;
+}
+
+const times = (cues) => cues.map((c) => [c.start, c.end]);
+
+test('reads clock times with fractions and frames', () => {
+  const { cues, warnings } = parseTTML(ttml(`<div>
+    <p begin="00:00:01.500" end="00:00:03.250">One</p>
+    <p begin="00:00:04:12" end="00:01:00:00">Two</p>
+  </div>`, { attrs: 'ttp:frameRate="25"' }));
+  assert.deepEqual(times(cues), [[1.5, 3.25], [4.48, 60]]);
+  assert.deepEqual(warnings, []);
+});
+
+test('reads offset times in every unit', () => {
+  const { cues } = parseTTML(ttml(`<div>
+    <p begin="1.5s" end="2500ms">Seconds</p>
+    <p begin="50f" end="75f">Frames</p>
+    <p begin="0.1m" end="0.002h">Minutes</p>
+  </div>`, { attrs: 'ttp:frameRate="25"' }));
+  assert.deepEqual(times(cues), [[1.5, 2.5], [2, 3], [6, 7.2]]);
+});
+
+test('applies the frame rate multiplier and tick rate', () => {
+  const ntsc = parseTTML(ttml('<p begin="0s" end="30f">A</p>', { attrs: 'ttp:frameRate="30" ttp:frameRateMultiplier="1000 1001"' }));
+  assert.equal(ntsc.cues[0].end.toFixed(6), '1.001000');
+
+  const ticks = parseTTML(ttml('<p begin="5000000t" end="25000000t">A</p>', { attrs: 'ttp:tickRate="10000000"' }));
+  assert.deepEqual(times(ticks.cues), [[0.5, 2.5]]);
+
+  // Without a tick rate, ticks count frames times sub-frames
+  const frameTicks = parseTTML(ttml('<p begin="0t" end="100t">A</p>', { attrs: 'ttp:frameRate="25" ttp:subFrameRate="2"' }));
+  assert.equal(frameTicks.cues[0].end, 2);
+});
+
+test('inherits begin, end and dur through div and body', () => {
+  const { cues } = parseTTML(ttml(`
+    <div begin="10s" end="20s">
+      <p begin="1s" end="3s">Offset by the div</p>
+      <p begin="5s" dur="2s">Duration</p>
+      <p begin="8s" end="15s">Cut at the div end</p>
+      <div begin="2s"><p begin="1s" dur="1s">Nested</p></div>
+    </div>`));
+  assert.deepEqual(times(cues), [[11, 13], [13, 14], [15, 17], [18, 20]]);
+});
+
+test('sorts cues by start and skips empty or untimed paragraphs', () => {
+  const { cues, warnings } = parseTTML(ttml(`<div>
+    <p begin="5s" end="6s">Later</p>
+    <p begin="1s" end="2s">Earlier</p>
+    <p begin="3s" end="4s">   </p>
+    <p begin="4s" end="4s">Zero length</p>
+    <p begin="7s">No end</p>
+  </div>`));
+  assert.deepEqual(cues.map((c) => c.text), ['Earlier', 'Later']);
+  assert.deepEqual(warnings, ['Paragraph without end time skipped']);
+});
+
+test('joins lines broken with <br/> and collapses white space', () => {
+  const { cues } = parseTTML(ttml(`<p begin="0s" end="1s">
+    First   line<br/>second
+    line<br />third</p>`));
+  assert.equal(cues[0].text, 'First line second line third');
+});
+
+test('turns span and referential style colours into teletext colour codes', () => {
+  const head = `<styling>
+    <style xml:id="base" tts:color="#00FFFF"/>
+    <style xml:id="yellow" style="base" tts:color="yellow"/>
+  </styling>`;
+  const { cues, warnings } = parseTTML(ttml(`<div style="base">
+    <p begin="0s" end="1s">Cyan <span style="yellow">yellow <span tts:color="white">white</span></span></p>
+    <p begin="1s" end="2s" tts:color="white"><span tts:backgroundColor="transparent">Plain</span></p>
+  </div>`, { head }));
+  const code = (c) => String.fromCharCode(c);
+  assert.equal(cues[0].text, `${code(Colour.Cyan)}Cyan ${code(Colour.Yellow)}yellow ${code(Colour.White)}white`);
+  assert.equal(cues[1].text, 'Plain');
+  assert.deepEqual(warnings, []);
+});
+
+test('places cues from their region and text alignment', () => {
+  const head = `<layout>
+    <region xml:id="top" tts:origin="10% 8%" tts:extent="80% 20%"/>
+    <region xml:id="bottom" tts:origin="10% 72%" tts:extent="80% 20%" tts:displayAlign="after" tts:textAlign="left"/>
+    <region xml:id="cells" tts:origin="0c 12c" tts:extent="32c 3c"/>
+  </layout>`;
+  const { cues, warnings } = parseTTML(ttml(`<div>
+    <p begin="0s" end="1s" region="top" tts:textAlign="center">Top</p>
+    <p begin="1s" end="2s" region="bottom">Bottom</p>
+    <p begin="2s" end="3s" region="cells">Cells</p>
+    <p begin="3s" end="4s" region="missing">Unknown</p>
+    <p begin="4s" end="5s" tts:textAlign="right">Aligned</p>
+  </div>`, { head }));
+  assert.deepEqual(cues.map(({ start, end, text, ...layout }) => layout), [
+    { align: 'center', position: 50, row: 2 },
+    { align: 'start', position: 10, endRow: 22 },
+    { position: 50, row: 20 },
+    {},
+    { align: 'end' },
+  ]);
+  assert.deepEqual(warnings, ['Unknown region "missing" ignored']);
+});
+
+test('decodes entities and CDATA and skips comments and processing instructions', () => {
+  const { cues } = parseTTML(ttml(`<div>
+    <!-- <p begin="0s" end="1s">Commented out</p> -->
+    <p begin="1s" end="2s">Fish &amp; chips &lt;3 &#233;t&#xE9; &quot;caf&eacute;&quot;</p>
+    <p begin="2s" end="3s"><![CDATA[Tom & <Jerry>]]><?pi ignored?> too</p>
+  </div>`));
+  assert.deepEqual(cues.map((c) => c.text), ['Fish & chips <3 été "caf&eacute;"', 'Tom & <Jerry> too']);
+});
+
+test('resolves namespace prefixes on elements', () => {
+  const doc = `<?xml version="1.0"?>
+<tt:tt xmlns:tt="http://www.w3.org/ns/ttml" xmlns:style="http://www.w3.org/ns/ttml#styling"
+    xmlns:p="http://www.w3.org/ns/ttml#parameter" p:frameRate="25">
+  <tt:head><tt:layout><tt:region xml:id="r" style:origin="0% 80%" style:extent="100% 10%"/></tt:layout></tt:head>
+  <tt:body><tt:div><tt:p begin="00:00:01:00" end="00:00:02:00" region="r">Prefixed <tt:span style:color="red">red</tt:span></tt:p></tt:div></tt:body>
+</tt:tt>`;
+  const { cues, warnings } = parseTTML(doc);
+  assert.deepEqual(cues, [{ start: 1, end: 2, text: `Prefixed ${String.fromCharCode(Colour.Red)}red`, position: 50, row: 20 }]);
+  assert.deepEqual(warnings, []);
+});
+
+test('warns once per unsupported feature with a count', () => {
+  const { warnings } = parseTTML(ttml(`<div>
+    <p begin="0s" end="1s" tts:fontSize="120%" tts:fontFamily="sans">One <span begin="0.5s">late</span></p>
+    <p begin="1s" end="2s" tts:fontSize="120%">Two <set tts:color="red"/><img/></p>
+  </div>`, { attrs: 'ttp:timeBase="smpte"' }));
+  assert.deepEqual(warnings, [
+    'ttp:timeBase="smpte" is not supported, times are treated as media time',
+    'Unsupported style tts:fontSize="120%" ignored (2 occurrences)',
+    'Timing on <span> is not supported, span shown for the whole paragraph',
+    'Style animation (<set>) is not supported',
+    'Unsupported element <img> ignored',
+  ]);
+});
+
+test('rejects documents without <tt> and malformed times', () => {
+  assert.throws(() => parseTTML('<html><body/></html>'), /missing <tt> element/);
+  assert.throws(() => parseTTML(ttml('<p begin="soon" end="1s">A</p>')), /Invalid TTML time expression: soon/);
+});
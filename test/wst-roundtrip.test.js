@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import WSTEncoder from '../wst-encoder.js';
+import { TeletextDecoder } from '../wst-decoder.js';
+import { LANGUAGES, unmappableCharacters } from '../teletext-charset.js';
+
+/** A line in each language, with the letters its pages need beyond plain ASCII */
+const SAMPLES = {
+  en: ['Where is the £5 note? #1 @ 10:30', 'Naïve café, 50% off & more'],
+  de: ['Größe, Übermaß und Äpfel für Jürgen', 'Der Straßenbahnfahrer sagt: »Hallo«'],
+  fr: ['Où est la forêt ? À côté du château.', 'Noël, garçon, cœur, naïf et déjà'],
+  it: ['Perché è così? Più caffè, città.', 'Là c\'è un\'altra età'],
+  es: ['¿Dónde está el niño? ¡Aquí!', 'Mañana, corazón, pingüino'],
+  pt: ['Não há ação sem coração', 'Você está à espera? Avó, pé'],
+  sv: ['Här är en älg på ön', 'Åsa köper smörgåsar'],
+  fi: ['Hyvää yötä, näkemiin', 'Äiti söi jäätelöä'],
+  cs: ['Příliš žluťoučký kůň úpěl ďábelské ódy', 'Čeština: ř, ů, ě, ň'],
+  sk: ['Ľúbostný dôvod, ťava a päť kôz', 'Ďakujem, šťastie'],
+  pl: ['Zażółć gęślą jaźń', 'Łódź, Kraków, Gdańsk'],
+  hu: ['Árvíztűrő tükörfúrógép', 'Őszi ügyek, szőlő'],
+  sl: ['Čas je, da gremo žvečit', 'Šola in življenje'],
+  hr: ['Đak je ćutao u školi', 'Žena i čovjek'],
+  tr: ['Işık, güneş ve çiçek', 'Şimdi İstanbul\'da öğle'],
+  ro: ['Ţară, şcoală, în câmp', 'Mâine ăsta e aşa'],
+  et: ['Õun, äike, öö ja süda', 'Šokolaad ja žürii'],
+  lv: ['Ķēķis, ģimene, ļoti', 'Šodien ņem ūdeni'],
+  lt: ['Ąžuolas, ėjo, įėjimas', 'Šiandien žiema, ūkis'],
+  sr: ['Ђорђе, љубав и њива', 'Ћирилица: Џ, ј, ш, ж'],
+  mk: ['Ѓорѓи и Ќоста, звезда', 'Македонија, љубов'],
+  ru: ['Съешь же ещё этих мягких булок', 'Ыы, Юля, Яна и Щука'],
+  bg: ['Ще ям ябълки и круши', 'България, щастие, юг'],
+  uk: ['Їжак, єнот і Іван', 'Україна, щастя, юнак'],
+  el: ['Καλημέρα, τι κάνεις;', 'Ελλάδα και Αθήνα'],
+  ar: ['مرحبا بكم في البرنامج', 'لا شكرا، السلام عليكم'],
+};
+
+/**
+ * Encode one subtitle and decode the packets again.
+ * @param {string[]} lines
+ * @param {ConstructorParameters<typeof WSTEncoder>[0]} options
+ */
+function roundTrip(lines, options) {
+  const encoder = new WSTEncoder({ magazine: 0, page: 0x88, ...options });
+  const [page] = new TeletextDecoder().decodePackets(encoder.encodeSubtitle(lines));
+  return page;
+}
+
+test('every supported language has a sample', () => {
+  assert.deepEqual(Object.keys(SAMPLES).sort(), Object.keys(LANGUAGES).sort());
+});
+
+for (const [language, lines] of Object.entries(SAMPLES)) {
+  test(`${LANGUAGES[language].name} subtitles round-trip exactly`, () => {
+    const nationalOption = LANGUAGES[language].nationalOption;
+    assert.deepEqual(unmappableCharacters(lines.join(''), nationalOption), []);
+    const page = roundTrip(lines, { language });
+    assert.equal(page.nationalOption, nationalOption);
+    assert.deepEqual(page.errors, []);
+    assert.deepEqual(page.lines, lines);
+  });
+}
+
+test('double height rows round-trip', () => {
+  const page = roundTrip(['Příliš žluťoučký kůň'], { language: 'cs', doubleHeight: true });
+  assert.deepEqual(page.lines, ['Příliš žluťoučký kůň']);
+  assert.ok(page.rows[0].cells.some((cell) => cell.doubleHeight));
+});
+
+test('characters a page cannot show are reported and sent as "?"', () => {
+  assert.deepEqual(unmappableCharacters('Ґанок і ґудзик', 'ukrainian'), ['Ґ', 'ґ']);
+  assert.deepEqual(roundTrip(['Ґанок'], { language: 'uk' }).lines, ['?анок']);
+  assert.deepEqual(unmappableCharacters('Привет, 世界 ☺', 'russian'), ['世', '界', '☺']);
+  assert.deepEqual(unmappableCharacters('Grüße aus Ελλάδα', 'german'), ['Ε', 'λ', 'ά', 'δ']);
+  assert.deepEqual(unmappableCharacters('Џак и ѕвезда', 'serbian-cyrillic'), ['ѕ']);
+  assert.deepEqual(unmappableCharacters('أهلا', 'arabic'), ['أ']);
+});
+
+test('a national option overrides the language for the page', () => {
+  const page = roundTrip(['Zażółć gęślą jaźń'], { language: 'cs', nationalOption: 'polish' });
+  assert.equal(page.nationalOption, 'polish');
+  assert.deepEqual(page.lines, ['Zażółć gęślą jaźń']);
+});
@@ -0,0 +1,124 @@
+/**
+ * SMPTE timecode (SMPTE ST 12-1): frame rates, drop-frame counting and conversion between timecode, frame counts and seconds.
+ * Drop-frame timecode (29.97 and 59.94) skips the first 2 (or 4) frame numbers of every minute except every tenth,
+ * so that the timecode keeps up with the clock.
+ */
+
+/**
+ * @typedef {Object} FrameRate
+ * @property {number} fps - actual frames per second, e.g. 30000/1001
+ * @property {number} base - frames counted per timecode second, e.g. 30
+ * @property {boolean} dropFrame
+ * @property {string} name - e.g. "29.97df"
+ */
+
+/** Frame rates by name; "df" marks drop-frame timecode */
+export const FRAME_RATES = {
+  '23.976': { fps: 24000 / 1001, base: 24, dropFrame: false },
+  '24': { fps: 24, base: 24, dropFrame: false },
+  '25': { fps: 25, base: 25, dropFrame: false },
+  '29.97': { fps: 30000 / 1001, base: 30, dropFrame: false },
+  '29.97df': { fps: 30000 / 1001, base: 30, dropFrame: true },
+  '30': { fps: 30, base: 30, dropFrame: false },
+  '50': { fps: 50, base: 50, dropFrame: false },
+  '59.94': { fps: 60000 / 1001, base: 60, dropFrame: false },
+  '59.94df': { fps: 60000 / 1001, base: 60, dropFrame: true },
+  '60': { fps: 60, base: 60, dropFrame: false },
+};
+
+const TIMECODE = /^(\d{1,2}):(\d{2}):(\d{2})([:;.,])(\d{2})$/;
+
+/**
+ * @param {string | number | FrameRate} rate - name ("25", "29.97df", "29.97ndf") or frames per second (29.97 is non-drop)
+ * @returns {FrameRate}
+ */
+export function frameRate(rate) {
+  if (typeof rate === 'object' && rate !== null) return rate;
+  let name = String(rate).toLowerCase().replace(/ndf$/, '');
+  // A number such as 29.97 names the non-drop rate
+  if (!FRAME_RATES[name]) name = Object.keys(FRAME_RATES).find((key) => !key.endsWith('df') && Math.abs(parseFloat(key) - parseFloat(name)) < 0.01);
+  if (!name) throw new Error('Unsupported frame rate: ' + rate + ' (use one of ' + Object.keys(FRAME_RATES).join(', ') + ')');
+  return { ...FRAME_RATES[name], name };
+}
+
+/** Frame numbers dropped each minute, 0 for non-drop rates */
+function droppedPerMinute({ base, dropFrame }) {
+  return dropFrame ? Math.round(base / 15) : 0;
+}
+
+/**
+ * @param {string} timecode - "HH:MM:SS:FF", with ";" (or ".") before the frames for drop-frame
+ * @returns {boolean}
+ */
+export function isTimecode(timecode) {
+  return typeof timecode === 'string' && TIMECODE.test(timecode.trim());
+}
+
+/**
+ * @param {string} timecode - "HH:MM:SS:FF"; drop-frame rates count the dropped frame numbers whatever the separator
+ * @param {string | number | FrameRate} rate
+ * @returns {number} frames since 00:00:00:00
+ */
+export function timecodeToFrames(timecode, rate) {
+  const r = frameRate(rate);
+  const m = TIMECODE.exec(String(timecode).trim());
+  if (!m) throw new Error('Invalid timecode: ' + timecode);
+  const [hours, minutes, seconds, frames] = [m[1], m[2], m[3], m[5]].map((v) => parseInt(v, 10));
+  if (minutes > 59 || seconds > 59 || frames >= r.base) throw new Error('Invalid timecode: ' + timecode);
+  const totalMinutes = hours * 60 + minutes;
+  const dropped = droppedPerMinute(r) * (totalMinutes - Math.floor(totalMinutes / 10));
+  return (hours * 3600 + minutes * 60 + seconds) * r.base + frames - dropped;
+}
+
+/**
+ * @param {number} frames - frames since 00:00:00:00
+ * @param {string | number | FrameRate} rate
+ * @returns {string} "HH:MM:SS:FF", or "HH:MM:SS;FF" for drop-frame
+ */
+export function framesToTimecode(frames, rate) {
+  const r = frameRate(rate);
+  const drop = droppedPerMinute(r);
+  let n = Math.max(0, Math.floor(frames));
+  if (drop) {
+    // Put the dropped frame numbers back in
+    const perMinute = r.base * 60 - drop;
+    const perTenMinutes = perMinute * 10 + drop;
+    const tens = Math.floor(n / perTenMinutes);
+    const rest = n % perTenMinutes;
+    n += drop * 9 * tens + (rest > drop ? drop * Math.floor((rest - drop) / perMinute) : 0);
+  }
+  const ff = n % r.base;
+  const totalSeconds = Math.floor(n / r.base);
+  const pad = (v) => String(v).padStart(2, '0');
+  const hh = Math.floor(totalSeconds / 3600) % 24;
+  return `${pad(hh)}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}${r.dropFrame ? ';' : ':'}${pad(ff)}`;
+}
+
+/**
+ * @param {number} frames
+ * @param {string | number | FrameRate} rate
+ * @returns {number} seconds of real time
+ */
+export function framesToSeconds(frames, rate) {
+  return frames / frameRate(rate).fps;
+}
+
+/**
+ * Frame on which a time falls: the frame showing at that moment.
+ * @param {number} seconds
+ * @param {string | number | FrameRate} rate
+ * @returns {number}
+ */
+export function secondsToFrames(seconds, rate) {
+  // Rounded first so a time meant as an exact frame boundary is not pushed back a frame by float error
+  return Math.floor(Math.round(seconds * frameRate(rate).fps * 1000) / 1000);
+}
+
+/**
+ * @param {string} timecode
+ * @param {string | number | FrameRate} rate
+ * @returns {number} seconds since 00:00:00:00
+ */
+export function timecodeToSeconds(timecode, rate) {
+  return framesToSeconds(timecodeToFrames(timecode, rate), rate);
+}
@@ -1,12 +1,31 @@
+import { Colour, attributePrefix, attributeState, isSpacingAttribute } from './teletext-attributes.js';
+import { framesToSeconds, secondsToFrames } from './timecode.js';
+import { balancedPages, fitReadingSpeed } from './segmentation.js';
+
 /**
  * Converts VTT cues into display segments for WST (2 lines max per segment).
  * Use a safe line length (38) so the end of each line is visible; display may cut off 1–2 chars at 40.
+ * Cue text may carry teletext colour attributes inline; they count as one character each.
  */
 
 const MAX_LINES = 2;
 /** Safe chars per line so end 2 chars in line are not cut off. */
 const CHARS_PER_LINE = 38;
 const CHARS_PER_SLIDE = CHARS_PER_LINE * MAX_LINES;
+/** Last row available for subtitles */
+const LAST_ROW = 23;
+
+/**
+ * @typedef {Object} CueLayout
+ * @property {number} [row] - teletext row of the first line
+ * @property {number} [endRow] - last teletext row the cue occupies
+ * @property {'start' | 'center' | 'end'} [align]
+ * @property {number} [position] - horizontal anchor in percent
+ * @property {boolean} [doubleHeight]
+ *
+ * @typedef {{ start: number, end: number, text: string } & CueLayout} Cue
+ * @typedef {{ start: number, end: number, lines: string[] } & CueLayout} Segment
+ */
 
 /**
  * Split text into words for wrapping.
@@ -19,6 +38,8 @@ function words(text) {
 
 /**
  * Wrap text into lines of at most maxChars. Prefer word boundaries.
+ * A word starting with a colour attribute uses the attribute cell as the separating space, and colours
+ * active at the end of a line are repeated at the start of the next one (each row starts white on black).
  * @param {string} text
  * @param {number} maxChars
  * @returns {string[]}
@@ -28,12 +49,16 @@ function wrapLines(text, maxChars = CHARS_PER_LINE) {
   const w = words(text);
   let line = '';
   for (const word of w) {
-    const next = line ? line + ' ' + word : word;
+    const next = line ? line + (isSpacingAttribute(word[0]) ? '' : ' ') + word : word;
     if (next.length <= maxChars) {
       line = next;
     } else {
+      const state = line ? attributeState(line) : null;
       if (line) result.push(line);
-      line = word.length <= maxChars ? word : word.slice(0, maxChars);
+      // Repeat the previous line's colours unless the word sets its own foreground straight away
+      const carried = state && !(state.bg === Colour.Black && isSpacingAttribute(word[0])) ? attributePrefix(state) : '';
+      const start = carried + word;
+      line = start.length <= maxChars ? start : start.slice(0, maxChars);
     }
   }
   if (line) result.push(line);
@@ -41,21 +66,63 @@ function wrapLines(text, maxChars = CHARS_PER_LINE) {
 }
 
 /**
- * Split one cue into display segments (each at most 2 lines of 40 chars).
- * Duration is split proportionally by character count.
- * @param {{ start: number, end: number, text: string }} cue
- * @returns {{ start: number, end: number, lines: [string] }[]}
+ * Number of lines per segment: two, unless the cue's start row leaves room for fewer.
+ * A double height line takes two rows.
+ * @param {CueLayout} layout
+ * @returns {number}
  */
-export function cueToSegments(cue) {
-  const { start, end, text } = cue;
-  const duration = end - start;
-  const allLines = wrapLines(text, CHARS_PER_LINE);
+function linesThatFit({ row, doubleHeight }) {
+  if (row === undefined) return MAX_LINES;
+  const rowStep = doubleHeight ? 2 : 1;
+  return Math.max(1, Math.min(MAX_LINES, Math.floor((LAST_ROW - row + 1) / rowStep)));
+}
+
+/**
+ * Wrap text into lines the way cue text is wrapped.
+ * @param {string} text
+ * @param {{ doubleHeight?: boolean }} [layout]
+ * @returns {string[]}
+ */
+export function textToLines(text, { doubleHeight = false } = {}) {
+  // The double height code takes one cell of each row
+  return wrapLines(text, doubleHeight ? CHARS_PER_LINE - 1 : CHARS_PER_LINE);
+}
 
-  const segments = [];
-  for (let i = 0; i < allLines.length; i += MAX_LINES) {
-    const chunk = allLines.slice(i, i + MAX_LINES).map((line) => line.slice(0, CHARS_PER_LINE));
-    segments.push({ lines: chunk });
+/**
+ * Wrap text into pages of at most 2 lines, fewer when the layout's start row leaves no room for two.
+ * @param {string} text
+ * @param {CueLayout} [layout]
+ * @returns {string[][]}
+ */
+export function textToPages(text, layout = {}) {
+  // The double height code takes one cell of each row
+  const charsPerLine = layout.doubleHeight ? CHARS_PER_LINE - 1 : CHARS_PER_LINE;
+  const maxLines = linesThatFit(layout);
+  const allLines = wrapLines(text, charsPerLine);
+
+  const pages = [];
+  for (let i = 0; i < allLines.length; i += maxLines) {
+    pages.push(allLines.slice(i, i + maxLines).map((line) => line.slice(0, charsPerLine)));
   }
+  return pages;
+}
+
+/**
+ * Split one cue into display segments (each at most 2 lines of 40 chars), with balanced lines broken where they read well.
+ * Duration is split proportionally by character count. The cue's layout is kept on every segment.
+ * @param {Cue} cue
+ * @param {{ doubleHeight?: boolean } & import('./segmentation.js').SegmentationOptions} [options] - doubleHeight applies to
+ *   cues that do not set their own; language or weakWords: words that should not end a line
+ * @returns {Segment[]}
+ */
+export function cueToSegments(cue, { doubleHeight = false, language, weakWords } = {}) {
+  const { start, end, text, ...layout } = cue;
+  layout.doubleHeight = cue.doubleHeight ?? doubleHeight;
+  const duration = end - start;
+  const charsPerLine = layout.doubleHeight ? CHARS_PER_LINE - 1 : CHARS_PER_LINE;
+  // A word longer than a line has to be cut, which only plain wrapping does
+  const pages = balancedPages(text, { charsPerLine, maxLines: linesThatFit(layout), language, weakWords }) ?? textToPages(text, layout);
+  const segments = pages.map((lines) => ({ lines, ...layout }));
 
   if (segments.length === 0) return [];
   if (segments.length === 1) {
@@ -64,7 +131,7 @@ export function cueToSegments(cue) {
     return segments;
   }
 
-  const totalChars = allLines.join('').length;
+  const totalChars = segments.reduce((sum, seg) => sum + seg.lines.join('').length, 0);
   let elapsed = start;
   for (let s = 0; s < segments.length; s++) {
     const segChars = segments[s].lines.join('').length;
@@ -78,15 +145,178 @@ export function cueToSegments(cue) {
   return segments;
 }
 
+/**
+ * Convert all cues to display segments, each given time to be read (see fitReadingSpeed).
+ * @param {Cue[]} cues
+ * @param {{ doubleHeight?: boolean } & import('./segmentation.js').SegmentationOptions} [options]
+ * @returns {{ segments: Segment[], issues: import('./segmentation.js').ReadingSpeedIssue[] }} issues: cues that cannot meet the limits
+ */
+export function segmentCues(cues, options = {}) {
+  const timed = cues.map((cue) => ({ start: cue.start, end: cue.end, pages: cueToSegments(cue, options) }));
+  const issues = fitReadingSpeed(timed, options);
+  return { segments: timed.flatMap((cue) => cue.pages), issues };
+}
+
 /**
  * Convert all VTT cues to flat list of display segments.
- * @param {{ start: number, end: number, text: string }[]} cues
- * @returns {{ start: number, end: number, lines: string[] }[]}
+ * @param {Cue[]} cues
+ * @param {{ doubleHeight?: boolean } & import('./segmentation.js').SegmentationOptions} [options]
+ * @returns {Segment[]}
  */
-export function cuesToSegments(cues) {
-  const out = [];
-  for (const cue of cues) {
-    out.push(...cueToSegments(cue));
+export function cuesToSegments(cues, options = {}) {
+  return segmentCues(cues, options).segments;
+}
+
+/**
+ * @typedef {Object} DisplayState
+ * @property {number} start - file time the state begins at (-Infinity for the state before the first segment)
+ * @property {number} end - file time the next state begins at (Infinity for the last)
+ * @property {number[]} indexes - schedule segments on air, in start order; empty when nothing is
+ * @property {Segment | null} display - what is on air: a segment, overlapping segments merged into one, or null.
+ *   States that show the same thing share the same display object.
+ * @property {boolean} held - the subtitle before a short gap, kept on air until the next one
+ *
+ * @typedef {Object} ScheduleOptions
+ * @property {'merge' | 'stack'} [overlap='merge'] - overlapping segments shown together (the lines of the one that started
+ *   first above, at its position), or only the one that started last, the ones it covers coming back when it ends
+ * @property {number} [holdGap=2] - seconds; a subtitle stays on air through a gap up to this long rather than flicker off and on
+ * @property {string} [frameRate] - e.g. "25": segment times are taken to the start of the frame they fall on
+ */
+
+/**
+ * Binary search.
+ * @param {number[]} sorted - ascending
+ * @param {number} t
+ * @returns {number} number of values <= t
+ */
+function countAtOrBefore(sorted, t) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] <= t) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * When each segment is on air, worked out once for the whole file: the timeline is cut at every segment start and end
+ * into states that each show one thing, so the display at any time is a binary search away.
+ */
+export class SegmentSchedule {
+  /** @type {Segment[]} */
+  #segments;
+  /** @type {DisplayState[]} */
+  #states;
+  /** State start times, for the search */
+  #starts;
+  /** Segment start times, ascending */
+  #segmentStarts;
+  #toFrame;
+
+  /**
+   * @param {Segment[]} segments - in any order
+   * @param {ScheduleOptions} [options]
+   */
+  constructor(segments, { overlap = 'merge', holdGap = 2, frameRate } = {}) {
+    if (overlap !== 'merge' && overlap !== 'stack') throw new Error('Overlap must be "merge" or "stack"');
+    this.#toFrame = frameRate ? (t) => framesToSeconds(secondsToFrames(t, frameRate), frameRate) : (t) => t;
+    // Sorted by start, the order segments of one cue are in kept for equal starts; empty ones are never on air
+    this.#segments = segments
+      .map((seg) => ({ ...seg, start: this.#toFrame(seg.start), end: this.#toFrame(seg.end) }))
+      .filter((seg) => seg.end > seg.start)
+      .sort((a, b) => a.start - b.start);
+    this.#segmentStarts = this.#segments.map((seg) => seg.start);
+    this.#states = this.#buildStates(overlap, holdGap);
+    this.#starts = this.#states.map((state) => state.start);
+  }
+
+  /** Segments in start order; DisplayState indexes point into this */
+  get segments() {
+    return this.#segments;
+  }
+
+  /**
+   * @param {number} t - file time in seconds
+   * @returns {DisplayState}
+   */
+  displayStateAt(t) {
+    return this.#states[Math.max(0, countAtOrBefore(this.#starts, this.#toFrame(t)) - 1)];
+  }
+
+  /**
+   * @param {number} t - file time in seconds
+   * @returns {number} file time of the next change of display state after t, Infinity if there is none
+   */
+  nextChange(t) {
+    return this.displayStateAt(t).end;
+  }
+
+  /**
+   * @param {number} t - file time in seconds
+   * @returns {number} index of the first segment starting after t, -1 if there is none
+   */
+  nextSegment(t) {
+    const index = countAtOrBefore(this.#segmentStarts, this.#toFrame(t));
+    return index < this.#segments.length ? index : -1;
+  }
+
+  /**
+   * @param {'merge' | 'stack'} overlap
+   * @param {number} holdGap
+   * @returns {DisplayState[]} covering all time, in order
+   */
+  #buildStates(overlap, holdGap) {
+    const segments = this.#segments;
+    const boundaries = [...new Set(segments.flatMap((seg) => [seg.start, seg.end]))].sort((a, b) => a - b);
+    /** @type {DisplayState[]} */
+    const states = [{ start: -Infinity, end: boundaries[0] ?? Infinity, indexes: [], display: null, held: false }];
+    const active = new Set();
+    let next = 0;
+    for (let b = 0; b < boundaries.length; b++) {
+      const start = boundaries[b];
+      for (const index of active) if (segments[index].end <= start) active.delete(index);
+      while (next < segments.length && segments[next].start <= start) active.add(next++);
+      const indexes = [...active].sort((x, y) => x - y);
+      const previous = states[states.length - 1];
+      // The same segments as before (e.g. a boundary only other segments had) keep their display object
+      const same = indexes.length === previous.indexes.length && indexes.every((index, i) => index === previous.indexes[i]);
+      states.push({
+        start,
+        end: boundaries[b + 1] ?? Infinity,
+        indexes,
+        display: same ? previous.display : this.#display(indexes, overlap),
+        held: false,
+      });
+    }
+
+    // Hold a subtitle through a short gap: the state before it carries on until the next subtitle
+    for (let i = 1; i < states.length - 1; i++) {
+      const gap = states[i];
+      const before = states[i - 1];
+      if (!gap.display && before.display && states[i + 1].display && gap.end - gap.start <= holdGap) {
+        states[i] = { ...gap, indexes: before.indexes, display: before.display, held: true };
+      }
+    }
+    return states;
+  }
+
+  /**
+   * @param {number[]} indexes - segments on air, in start order
+   * @param {'merge' | 'stack'} overlap
+   * @returns {Segment | null}
+   */
+  #display(indexes, overlap) {
+    if (!indexes.length) return null;
+    const segments = indexes.map((index) => this.#segments[index]);
+    if (segments.length === 1 || overlap === 'stack') return segments[segments.length - 1];
+    const { lines, ...first } = segments[0];
+    return {
+      ...first,
+      start: Math.max(...segments.map((seg) => seg.start)),
+      end: Math.min(...segments.map((seg) => seg.end)),
+      lines: segments.flatMap((seg) => seg.lines),
+    };
   }
-  return out;
 }
@@ -0,0 +1,101 @@
+import { LANGUAGES, NATIONAL_SUBSETS } from './teletext-charset.js';
+import { isTimecode } from './timecode.js';
+
+/**
+ * Validation of titling requests, shared by the HTTP API and the clip mapping table of automatic titling.
+ * Each function returns an error message (or { error }) for the client instead of throwing.
+ */
+
+/**
+ * Teletext page address from a request: page as "888" (magazine digit and two hex digits), or magazine 1–8 with page 0–254.
+ * @param {{ magazine?: any, page?: any }} data
+ * @returns {{ error?: string, magazine?: number, page?: number }} magazine as WSTEncoder takes it (0 = magazine 8); empty if not given
+ */
+export function teletextPage({ magazine, page }) {
+  if (typeof page === 'string') {
+    const m = /^([1-8])([0-9a-f]{2})$/i.exec(page);
+    if (!m || m[2].toLowerCase() === 'ff') return { error: 'page must be a teletext page number such as "888"' };
+    return { magazine: parseInt(m[1], 10) & 0x07, page: parseInt(m[2], 16) };
+  }
+  if (magazine !== undefined && !(Number.isInteger(magazine) && magazine >= 1 && magazine <= 8)) return { error: 'magazine must be 1-8' };
+  if (page !== undefined && !(Number.isInteger(page) && page >= 0 && page <= 0xFE)) return { error: 'page must be 0x00-0xFE' };
+  const result = {};
+  // Magazine 8 is sent as 0
+  if (magazine !== undefined) result.magazine = magazine & 0x07;
+  if (page !== undefined) result.page = page;
+  return result;
+}
+
+/**
+ * Validate the subtitle file part of a titling request: one file, or one entry of "tracks".
+ * @param {any} data
+ * @returns {{ error: string } | import('./titling-session.js').TrackOptions}
+ */
+export function trackRequest(data) {
+  const vttPath = data?.vttPath ?? data?.path;
+  if (!vttPath || typeof vttPath !== 'string') return { error: 'Missing vttPath' };
+  const { voiceColours, voicePalette, doubleHeight, language, nationalOption, offset, overlap, minDuration, maxCps, weakWords } = data;
+  const error = encoderOptionsError({ language, nationalOption });
+  if (error) return { error };
+  if (doubleHeight !== undefined && typeof doubleHeight !== 'boolean') {
+    return { error: 'doubleHeight must be a boolean' };
+  }
+  if (voiceColours !== undefined && (typeof voiceColours !== 'object' || voiceColours === null || Array.isArray(voiceColours))) {
+    return { error: 'voiceColours must be an object mapping speaker names to colours' };
+  }
+  if (voicePalette !== undefined && !Array.isArray(voicePalette)) {
+    return { error: 'voicePalette must be an array of colours' };
+  }
+  if (offset !== undefined && !(typeof offset === 'number' && Number.isFinite(offset)) && !isTimecode(offset)) {
+    return { error: 'offset must be a number of seconds or a timecode such as "10:00:00:00"' };
+  }
+  if (overlap !== undefined && overlap !== 'merge' && overlap !== 'stack') return { error: 'overlap must be "merge" or "stack"' };
+  for (const [name, value] of Object.entries({ minDuration, maxCps })) {
+    if (value !== undefined && !(typeof value === 'number' && value >= 0)) return { error: `${name} must be a non-negative number` };
+  }
+  if (weakWords !== undefined && !(Array.isArray(weakWords) && weakWords.every((word) => typeof word === 'string'))) {
+    return { error: 'weakWords must be an array of words' };
+  }
+  const address = teletextPage(data);
+  if (address.error) return { error: address.error };
+  return { path: vttPath, ...address, voiceColours, voicePalette, doubleHeight, language, nationalOption, offset, overlap, minDuration, maxCps, weakWords };
+}
+
+/**
+ * Validate a titling request body: a single file (vttPath) or several pages (tracks).
+ * @param {any} data
+ * @returns {{ error: string } | { tracks: import('./titling-session.js').TrackOptions[], multiple: boolean, options: { timeMode?: 'osc' | 'autonomous', startAt?: number } }}
+ */
+export function titlingRequest(data) {
+  data ??= {};
+  const timeModeOpt = data.timeMode;
+  const startAt = data.startAt;
+  if (timeModeOpt !== undefined && timeModeOpt !== 'osc' && timeModeOpt !== 'autonomous') {
+    return { error: 'timeMode must be "osc" or "autonomous"' };
+  }
+  const options = { timeMode: timeModeOpt, startAt: typeof startAt === 'number' ? startAt : undefined };
+  if (data.tracks !== undefined) {
+    if (!Array.isArray(data.tracks) || !data.tracks.length) return { error: 'tracks must be a non-empty array' };
+    const tracks = data.tracks.map(trackRequest);
+    const failed = tracks.findIndex((track) => track.error);
+    if (failed >= 0) return { error: `tracks[${failed}]: ${tracks[failed].error}` };
+    return { tracks, multiple: true, options };
+  }
+  const track = trackRequest(data);
+  if (track.error) return { error: track.error };
+  return { tracks: [track], multiple: false, options };
+}
+
+/**
+ * @param {{ language?: any, nationalOption?: any }} options
+ * @returns {string | undefined} error message
+ */
+export function encoderOptionsError({ language, nationalOption }) {
+  if (language !== undefined && !Object.hasOwn(LANGUAGES, language)) {
+    return 'language must be one of ' + Object.keys(LANGUAGES).join(', ');
+  }
+  if (nationalOption !== undefined && !Object.hasOwn(NATIONAL_SUBSETS, nationalOption)) {
+    return 'nationalOption must be one of ' + Object.keys(NATIONAL_SUBSETS).join(', ');
+  }
+  return undefined;
+}
@@ -0,0 +1,693 @@
+import { EventEmitter } from 'node:events';
+import { loadSubtitleFile } from './subtitle-loader.js';
+import { SegmentSchedule, segmentCues } from './titling-engine.js';
+import { describeIssue } from './segmentation.js';
+import { CasparClient } from './caspar-client.js';
+import WSTEncoder from './wst-encoder.js';
+import { createOSCTimeSource, createOSCTimecodeSource } from './osc-time-source.js';
+import { frameRate, framesToTimecode, secondsToFrames, timecodeToSeconds } from './timecode.js';
+import { NewforServer } from './newfor-server.js';
+import { LiveTitling } from './live-titling.js';
+import { AutoTitling, layerAddressError } from './auto-titling.js';
+import { MediaClock } from './media-clock.js';
+import { LANGUAGES, unmappableCharacters } from './teletext-charset.js';
+
+/**
+ * One titling channel: a CasparCG channel layer with its own time source and encoder options.
+ * A session carries one or more tracks, each a subtitle file on its own teletext page (e.g. 888 Czech, 889 English),
+ * scheduled independently and multiplexed into the OP47 packets sent to CasparCG.
+ *
+ * Events, each with the session id and the media time:
+ *   show { page, index, start, end, lines }, clear { page } - a track's subtitle put on air or cleared
+ *   connect, disconnect - the CasparCG connection
+ *   stall, resume - OSC time stopped advancing while the layer is not paused, and started again
+ *   clip-changed { path, previous }, looped { from, to }, paused, playing - the CasparCG layer the OSC time comes from
+ *   closed - the session was closed; it sends nothing more
+ */
+
+/** Longest wait between checks when no segment boundary is due, e.g. while paused */
+const MAX_TICK_MS = 1000;
+
+/**
+ * @typedef {Object} SessionConfig
+ * @property {string} [casparHost="localhost"]
+ * @property {number} [casparPort=5250]
+ * @property {string} [channelLayer="1-301"]
+ * @property {number} [oscPort=6250] - sessions on the same port share one OSC receiver
+ * @property {string} [oscTimeAddress] - OSC address carrying the clip time
+ * @property {boolean} [anyTimeAddress] - accept any address ending in /time, while no other session listens on the OSC port
+ * @property {{ magazine?: number, page?: number, language?: string, nationalOption?: string }} [encoder] - WSTEncoder options
+ * @property {number} [packetBudget=5] - teletext packets per video frame
+ * @property {number} [newforPort] - TCP port for NEWFOR subtitle workstations; none if omitted
+ * @property {number} [liveMinDisplay=1.5] - seconds each live subtitle stays on air before the next one
+ * @property {number} [liveIdleTimeout=5] - seconds without new live text before the live subtitle is cleared; 0 never clears
+ * @property {'block' | 'rollup'} [liveMode='block'] - live text as pages replacing each other, or rolling up row by row
+ * @property {'freeze' | 'clear'} [onPause='freeze'] - pausing (the autonomous clock, or the CasparCG layer in OSC mode) keeps the subtitle on air, or clears it
+ * @property {number} [stallTimeout=2] - seconds of OSC time not advancing, while the layer is not paused, before subtitles are cleared; 0 never clears
+ * @property {string} [subtitleMapping] - automatic titling: JSON table from clip name to subtitle file (see auto-titling.js)
+ * @property {string} [subtitleDir] - automatic titling: folder searched for a subtitle file named after the clip
+ * @property {number} [delayMs=0] - subtitle delay against the media time, e.g. to make up for video path latency (negative: earlier)
+ * @property {string} [frameRate] - e.g. "25" or "29.97df": frame accurate titling, with OSC time taken as a frame count or timecode
+ * @property {string} [oscFrameAddress] - with frameRate, OSC address carrying the frame count or timecode
+ * @property {number} [rollUpRows=3] - rows visible in roll-up mode, 2–4
+ *
+ * @typedef {Object} TitlingOptions
+ * @property {'osc' | 'autonomous'} [timeMode]
+ * @property {number} [startAt]
+ * @property {Record<string, string>} [voiceColours]
+ * @property {string[]} [voicePalette]
+ * @property {boolean} [doubleHeight]
+ * @property {string} [language]
+ * @property {string} [nationalOption]
+ * @property {number | string} [offset]
+ * @property {'merge' | 'stack'} [overlap]
+ * @property {number} [minDuration]
+ * @property {number} [maxCps]
+ * @property {string[]} [weakWords]
+ *
+ * @typedef {Object} TrackOptions
+ * @property {string} path - VTT, SRT, EBU STL or TTML file
+ * @property {number} [magazine] - 0–7 as in WSTEncoder (0 = magazine 8), session default if omitted
+ * @property {number} [page] - 0x00–0xFE, session default if omitted
+ * @property {number | string} [offset=0] - file time at media time 0, in seconds or as timecode, for files authored with a programme start
+ *   (e.g. "10:00:00:00"); timecode counts frames at the session frame rate, 25 fps if none is set
+ * @property {Record<string, string>} [voiceColours]
+ * @property {string[]} [voicePalette]
+ * @property {boolean} [doubleHeight]
+ * @property {string} [language]
+ * @property {string} [nationalOption]
+ * @property {'merge' | 'stack'} [overlap='merge'] - overlapping cues shown together, or the later one over the earlier
+ * @property {number} [minDuration=1] - seconds each subtitle page stays on air at least (0: no minimum)
+ * @property {number} [maxCps=17] - reading speed limit in characters per second (0: no limit)
+ * @property {string[]} [weakWords] - words that should not end a line, instead of the language's articles and prepositions
+ *
+ * @typedef {Object} Track
+ * @property {WSTEncoder} encoder
+ * @property {SegmentSchedule} schedule
+ * @property {import('./titling-engine.js').DisplayState | null} onAir - state whose subtitle is on air, null when clear
+ * @property {Object} info - reported by describe()
+ */
+
+/**
+ * @param {{ magazine: number, page: number }} info - magazine 1–8
+ * @returns {string} page number as shown to viewers, e.g. "888"
+ */
+function pageNumber({ magazine, page }) {
+  return `${magazine}${page.toString(16).toUpperCase().padStart(2, '0')}`;
+}
+
+export class TitlingSession extends EventEmitter {
+  #config;
+  #caspar;
+  #oscTime;
+  /** @type {NewforServer | null} */
+  #newfor = null;
+  #live;
+  /** @type {AutoTitling | null} */
+  #auto = null;
+
+  /** @type {Track[]} */
+  #tracks = [];
+  /** True while subtitle files are being titled */
+  #active = false;
+  /** Timer for the next check, aimed at the next segment boundary */
+  #tickTimer = null;
+  /** OSC time, interpolated between updates */
+  #clock = new MediaClock();
+  /** Result of the last load, reported by describe() */
+  #titling = null;
+
+  /** "osc" = time from CasparCG OSC; "autonomous" = local clock from startAt (seconds in VTT) */
+  #timeMode = 'osc';
+  /** When timeMode === 'autonomous': VTT time at which we started (seconds). */
+  #autonomousStartAt = 0;
+  /** When timeMode === 'autonomous': wall-clock ms when we started (Date.now()). */
+  #autonomousStartWall = 0;
+  /** When timeMode === 'autonomous' and paused: the VTT time the clock stopped at, and whether the subtitle was cleared */
+  #paused = null;
+
+
+  /**
+   * @param {string} id
+   * @param {SessionConfig} [config]
+   */
+  constructor(id, config = {}) {
+    super();
+    // Every event stream client listens to the session
+    this.setMaxListeners(0);
+    this.id = id;
+    this.#config = {
+      casparHost: config.casparHost ?? 'localhost',
+      casparPort: config.casparPort ?? 5250,
+      channelLayer: config.channelLayer ?? '1-301',
+      oscPort: config.oscPort ?? 6250,
+      oscTimeAddress: config.oscTimeAddress ?? '/channel/1/stage/layer/1/foreground/file/time',
+      anyTimeAddress: config.anyTimeAddress ?? false,
+      encoder: { ...config.encoder },
+      packetBudget: config.packetBudget ?? 5,
+      newforPort: config.newforPort,
+      liveMinDisplay: config.liveMinDisplay ?? 1.5,
+      liveIdleTimeout: config.liveIdleTimeout ?? 5,
+      liveMode: config.liveMode ?? 'block',
+      rollUpRows: config.rollUpRows ?? 3,
+      onPause: config.onPause ?? 'freeze',
+      delayMs: config.delayMs ?? 0,
+      frameRate: config.frameRate === undefined ? undefined : frameRate(config.frameRate).name,
+      oscFrameAddress: config.oscFrameAddress ?? '/channel/1/stage/layer/1/foreground/file/frame',
+      stallTimeout: config.stallTimeout ?? 2,
+      subtitleMapping: config.subtitleMapping,
+      subtitleDir: config.subtitleDir,
+    };
+    this.#caspar = new CasparClient({
+      host: this.#config.casparHost,
+      port: this.#config.casparPort,
+      channelLayer: this.#config.channelLayer,
+      encoder: this.#config.encoder,
+      packetBudget: this.#config.packetBudget,
+      // Paced one command per frame of the session's video
+      frameRate: this.#config.frameRate === undefined ? undefined : frameRate(this.#config.frameRate).fps,
+    });
+    // Each OSC time update corrects the clock and is checked straight away
+    const onTime = (seconds) => {
+      this.#clock.update(seconds);
+      if (this.#active && this.#timeMode === 'osc') this.#tick();
+    };
+    this.#oscTime = this.#config.frameRate
+      ? createOSCTimecodeSource({
+        port: this.#config.oscPort,
+        frameAddress: this.#config.oscFrameAddress,
+        frameRate: this.#config.frameRate,
+        stallTimeout: this.#config.stallTimeout,
+        onTime,
+      })
+      : createOSCTimeSource({
+        port: this.#config.oscPort,
+        timeAddress: this.#config.oscTimeAddress,
+        anyTimeAddress: this.#config.anyTimeAddress,
+        stallTimeout: this.#config.stallTimeout,
+        onTime,
+      });
+    this.#watchLayer();
+    this.#live = new LiveTitling(this.#caspar, {
+      minDisplay: this.#config.liveMinDisplay,
+      idleTimeout: this.#config.liveIdleTimeout,
+      mode: this.#config.liveMode,
+      rollUpRows: this.#config.rollUpRows,
+    });
+    this.#caspar.on('connect', () => this.#emit('connect'));
+    this.#caspar.on('disconnect', () => this.#emit('disconnect'));
+    this.#caspar.connect();
+    if (this.#config.newforPort) {
+      this.#newfor = new NewforServer({
+        port: this.#config.newforPort,
+        caspar: this.#caspar,
+        encoder: this.#config.encoder,
+        busy: () => {
+          if (this.#active) return 'File titling is active';
+          if (this.#live.active) return 'Live titling is active';
+          return undefined;
+        },
+      });
+      this.#newfor.listen();
+    }
+    if (this.#config.subtitleMapping || this.#config.subtitleDir) {
+      const error = layerAddressError({ timeAddress: this.#oscTime.timeAddress, anyTimeAddress: !this.#config.frameRate && this.#config.anyTimeAddress });
+      if (error) {
+        console.error('[Auto] Not started:', error);
+      } else {
+        this.#auto = new AutoTitling(this, { mappingFile: this.#config.subtitleMapping, subtitleDir: this.#config.subtitleDir });
+        this.#auto.start();
+      }
+    }
+  }
+
+  get caspar() {
+    return this.#caspar;
+  }
+
+  /** True while subtitle files are being titled */
+  get titlingActive() {
+    return this.#active;
+  }
+
+  /** True while live text is on air or queued */
+  get liveActive() {
+    return this.#live.active;
+  }
+
+  /** True while a NEWFOR workstation has a page on air */
+  get newforActive() {
+    return this.#newfor?.active ?? false;
+  }
+
+  /**
+   * Load a subtitle file onto the session's page and start titling.
+   * @param {string} subtitlePath - VTT, SRT, EBU STL or TTML file
+   * @param {TitlingOptions} [options]
+   */
+  async load(subtitlePath, options = {}) {
+    const { timeMode, startAt, ...trackOptions } = options;
+    const { tracks, ...titling } = await this.loadTracks([{ path: subtitlePath, ...trackOptions }], { timeMode, startAt });
+    return { ...tracks[0], ...titling };
+  }
+
+  /**
+   * Load subtitle files, each onto its own teletext page, and start titling them on one clock.
+   * @param {TrackOptions[]} trackOptions
+   * @param {{ timeMode?: 'osc' | 'autonomous', startAt?: number }} [options]
+   */
+  async loadTracks(trackOptions, options = {}) {
+    if (this.#live.active) throw new Error('Live titling is active; clear it before titling a file');
+    if (this.newforActive) throw new Error('NEWFOR titling is active; clear it from the workstation before titling a file');
+    const tracks = [];
+    for (const track of trackOptions) tracks.push(await this.#loadTrack(track));
+    const pages = new Set(tracks.map(({ info }) => `${info.magazine}/${info.page}`));
+    if (pages.size !== tracks.length) throw new Error('Each subtitle file needs its own teletext page');
+
+    // Clear the pages of the replaced files, reused ones too: the new file may have nothing to show yet
+    for (const old of this.#tracks) {
+      if (old.onAir) this.#clearTrack(old);
+      else if (!pages.has(`${old.info.magazine}/${old.info.page}`)) this.#caspar.sendPackets(old.encoder.encodeSubtitle([]));
+    }
+    this.#tracks = tracks;
+
+    this.#timeMode = options.timeMode === 'autonomous' ? 'autonomous' : 'osc';
+    this.#paused = null;
+    if (this.#timeMode === 'autonomous') {
+      this.#autonomousStartAt = typeof options.startAt === 'number' ? options.startAt : 0;
+      this.#autonomousStartWall = Date.now();
+    }
+
+    this.#start();
+    this.#titling = {
+      timeMode: this.#timeMode,
+      startAt: this.#timeMode === 'autonomous' ? this.#autonomousStartAt : undefined,
+    };
+    return { ...this.#titling, delayMs: this.#config.delayMs, tracks: tracks.map((track) => ({ ...this.#trackInfo(track), warnings: track.warnings })) };
+  }
+
+  /**
+   * @param {TrackOptions} options
+   * @returns {Promise<Track & { warnings: string[] }>}
+   */
+  async #loadTrack(options) {
+    const { format, cues, warnings } = await loadSubtitleFile(options.path, {
+      voiceColours: options.voiceColours,
+      voicePalette: options.voicePalette,
+    });
+    const doubleHeight = options.doubleHeight === true;
+    const language = options.language ?? this.#config.encoder.language ?? process.env.TELETEXT_LANGUAGE;
+    const nationalOption = options.nationalOption ?? this.#config.encoder.nationalOption ?? LANGUAGES[language ?? 'en']?.nationalOption;
+    const magazine = options.magazine ?? this.#config.encoder.magazine ?? 0;
+    const page = options.page ?? this.#config.encoder.page ?? 0x01;
+    const encoder = new WSTEncoder({ ...this.#config.encoder, magazine, page, language, nationalOption });
+    const limits = { minDuration: options.minDuration ?? 1, maxCps: options.maxCps ?? 17 };
+    const { segments, issues } = segmentCues(cues, { doubleHeight, language: language ?? 'en', weakWords: options.weakWords, ...limits });
+    for (const issue of issues) warnings.push(describeIssue(issue, limits));
+    const overlap = options.overlap ?? 'merge';
+    const unmappable = unmappableCharacters(segments.map((seg) => seg.lines.join('')).join(''), nationalOption);
+    if (unmappable.length) warnings.push(`Characters missing from the ${nationalOption} teletext character set are shown as "?": ${unmappable.join(' ')}`);
+    return {
+      encoder,
+      schedule: new SegmentSchedule(segments, { overlap, frameRate: this.#config.frameRate }),
+      onAir: null,
+      info: {
+        path: options.path,
+        // Magazine 8 is sent as 0
+        magazine: magazine || 8,
+        page,
+        format,
+        cues: cues.length,
+        segments: segments.length,
+        overlap,
+        ...limits,
+        doubleHeight,
+        language: language ?? 'en',
+        nationalOption,
+        offset: typeof options.offset === 'string' ? timecodeToSeconds(options.offset, this.#config.frameRate ?? '25') : options.offset ?? 0,
+      },
+      warnings,
+    };
+  }
+
+  /**
+   * Show live text: in block mode wrapped into pages queued behind the live text already sent, in roll-up mode appended to the bottom row.
+   * @param {string} text
+   * @param {import('./live-titling.js').LiveLayout} [layout]
+   * @returns {{ mode: 'block', pages: number, queued: number } | { mode: 'rollup', scrolled: number }}
+   */
+  pushLiveText(text, layout = {}) {
+    if (this.#active) throw new Error('File titling is active; stop it before sending live text');
+    if (this.newforActive) throw new Error('NEWFOR titling is active; clear it from the workstation before sending live text');
+    const count = this.#live.push(text, layout);
+    if (this.#live.mode === 'rollup') return { mode: 'rollup', scrolled: count };
+    return { mode: 'block', pages: count, queued: this.#live.queued };
+  }
+
+  /** Drop queued live text and clear the live subtitle. */
+  clearLive() {
+    this.#live.clear();
+  }
+
+  /**
+   * Stop the autonomous clock.
+   * @param {{ clear?: boolean }} [options] - clear the subtitle on air instead of freezing it (session onPause setting if omitted)
+   * @returns {{ time: number, paused: boolean }}
+   */
+  pause({ clear = this.#config.onPause === 'clear' } = {}) {
+    this.#checkTransport();
+    if (!this.#paused) this.#paused = { at: this.#getCurrentTime(), clear };
+    if (clear) {
+      this.#paused.clear = true;
+      this.#clearOnAir();
+    }
+    return this.#transportState();
+  }
+
+  /** Restart the autonomous clock where it was paused. */
+  resume() {
+    this.#checkTransport();
+    const paused = this.#paused;
+    this.#paused = null;
+    if (paused) this.#setClock(paused.at);
+    this.#tick();
+    return this.#transportState();
+  }
+
+  /**
+   * Move the autonomous clock to a media time and show what is on air there straight away. A paused clock stays paused.
+   * @param {number} time - seconds
+   */
+  seek(time) {
+    this.#checkTransport();
+    this.#setClock(time);
+    this.#tick();
+    return this.#transportState();
+  }
+
+  /**
+   * Shift the autonomous clock, e.g. to line subtitles up with a live feed.
+   * @param {number} deltaMs - milliseconds forward (negative: back)
+   */
+  nudge(deltaMs) {
+    this.#checkTransport();
+    this.#setClock(this.#getCurrentTime() + deltaMs / 1000);
+    this.#tick();
+    return this.#transportState();
+  }
+
+  #checkTransport() {
+    if (!this.#active) throw new Error('Titling is not active');
+    if (this.#timeMode !== 'autonomous') throw new Error('Transport controls need timeMode "autonomous"; in OSC mode the clock follows CasparCG');
+  }
+
+  /** @param {number} time - media time the clock shows now */
+  #setClock(time) {
+    if (this.#paused) {
+      this.#paused.at = time;
+    } else {
+      this.#autonomousStartAt = time;
+      this.#autonomousStartWall = Date.now();
+    }
+  }
+
+  #transportState() {
+    return { time: this.#getCurrentTime(), paused: !!this.#paused };
+  }
+
+  /**
+   * Change the subtitle delay while titling; what is on air is brought in line straight away.
+   * @param {number} delayMs - milliseconds subtitles appear after their cue time (negative: before)
+   */
+  setDelay(delayMs) {
+    this.#config.delayMs = delayMs;
+    if (this.#active) this.#tick();
+    return { delayMs, tracks: this.#tracks.map((track) => ({ page: pageNumber(track.info), effectiveOffset: this.#effectiveOffset(track) })) };
+  }
+
+  /**
+   * Seconds added to the media time to get the track's file time: the file offset less the session delay.
+   * @param {Track} track
+   */
+  #effectiveOffset(track) {
+    return track.info.offset - this.#config.delayMs / 1000;
+  }
+
+  /**
+   * @param {Track} track
+   * @param {number} t - media time in seconds
+   */
+  #fileTime(track, t) {
+    return t + this.#effectiveOffset(track);
+  }
+
+  /** @param {Track} track */
+  #trackInfo(track) {
+    return { ...track.info, effectiveOffset: this.#effectiveOffset(track) };
+  }
+
+  /** Stop titling and clear the title on air. */
+  stop() {
+    this.#live.stop();
+    this.#active = false;
+    clearTimeout(this.#tickTimer);
+    this.#tickTimer = null;
+    if (this.#tracks.length) {
+      for (const track of this.#tracks) this.#clearTrack(track);
+    } else {
+      this.#caspar.clearTitle();
+    }
+    this.#tracks = [];
+    this.#titling = null;
+    this.#paused = null;
+  }
+
+  /** Stop, and release the Caspar connection, the OSC receiver and the NEWFOR port. */
+  close() {
+    this.#auto?.stop();
+    this.stop();
+    this.#newfor?.close();
+    this.#oscTime.close();
+    this.#caspar.disconnect();
+    this.#emit('closed');
+  }
+
+  describe() {
+    const { encoder, ...config } = this.#config;
+    return {
+      id: this.id,
+      ...config,
+      encoder: { ...encoder, magazine: encoder.magazine === undefined ? undefined : encoder.magazine || 8 },
+      connected: this.#caspar.connected,
+      newforConnections: this.#newfor ? this.#newfor.connections : undefined,
+      active: this.#active,
+      live: { active: this.#live.active, queued: this.#live.queued },
+      auto: this.#auto ? { clip: this.#auto.clip, subtitles: this.#auto.subtitles } : undefined,
+      titling: this.#titling ? { ...this.#titling, tracks: this.#tracks.map((track) => this.#trackInfo(track)) } : undefined,
+      time: this.#getCurrentTime() ?? undefined,
+    };
+  }
+
+  /**
+   * What the session is doing right now: per track the subtitle on air and the next one, the clock and the connections.
+   */
+  status() {
+    const t = this.#getCurrentTime();
+    const lastUpdate = this.#oscTime.getLastUpdate();
+    // Overlapping segments merged into one report the first one's index
+    const segmentInfo = (index, segment) => {
+      if (index < 0) return null;
+      const { start, end, lines } = segment;
+      return { index, start, end, lines };
+    };
+    return {
+      id: this.id,
+      active: this.#active,
+      timeMode: this.#timeMode,
+      time: t ?? null,
+      paused: !!this.#paused,
+      ...(this.#config.frameRate && t != null && {
+        frameRate: this.#config.frameRate,
+        frame: secondsToFrames(t, this.#config.frameRate),
+        timecode: framesToTimecode(secondsToFrames(t, this.#config.frameRate), this.#config.frameRate),
+      }),
+      stalled: this.#oscTime.isStalled(),
+      delayMs: this.#config.delayMs,
+      tracks: this.#tracks.map((track) => {
+        const { info, schedule, onAir } = track;
+        const fileTime = t == null ? null : this.#fileTime(track, t);
+        const next = fileTime == null ? -1 : schedule.nextSegment(fileTime);
+        return {
+          path: info.path,
+          page: pageNumber(info),
+          format: info.format,
+          cues: info.cues,
+          segments: info.segments,
+          offset: info.offset,
+          effectiveOffset: this.#effectiveOffset(track),
+          overlap: info.overlap,
+          current: onAir ? segmentInfo(onAir.indexes[0], onAir.display) : null,
+          next: segmentInfo(next, schedule.segments[next]),
+        };
+      }),
+      live: { active: this.#live.active, mode: this.#live.mode, queued: this.#live.queued },
+      auto: this.#auto ? { clip: this.#auto.clip, subtitles: this.#auto.subtitles } : undefined,
+      caspar: { connected: this.#caspar.connected },
+      osc: {
+        port: this.#oscTime.port,
+        timeAddress: this.#oscTime.timeAddress,
+        clip: this.#oscTime.getPath(),
+        paused: this.#oscTime.isPaused(),
+        // Seconds since the last time message, null if none arrived yet
+        lastUpdateAge: lastUpdate === null ? null : (Date.now() - lastUpdate) / 1000,
+      },
+    };
+  }
+
+  /**
+   * @param {string} event
+   * @param {Object} [data]
+   */
+  #emit(event, data = {}) {
+    this.emit(event, { session: this.id, time: this.#getCurrentTime() ?? null, ...data });
+  }
+
+  /** Follow the CasparCG layer: report its clip, pause and stall changes, and keep what is on air in line with them. */
+  #watchLayer() {
+    const osc = this.#oscTime;
+    const titlingOsc = () => this.#active && this.#timeMode === 'osc';
+    osc.on('clip-changed', ({ path, previous }) => {
+      this.#clock.reset();
+      this.#emit('clip-changed', { path, previous });
+      // Subtitles come back once the new clip's time arrives
+      if (titlingOsc()) this.#clearOnAir();
+    });
+    osc.on('looped', ({ from, to }) => {
+      this.#emit('looped', { from, to });
+      if (titlingOsc()) this.#tick();
+    });
+    osc.on('paused', () => {
+      this.#emit('paused');
+      if (titlingOsc() && this.#config.onPause === 'clear') this.#clearOnAir();
+    });
+    osc.on('playing', () => {
+      this.#emit('playing');
+      if (titlingOsc()) this.#tick();
+    });
+    osc.on('stalled', () => {
+      this.#emit('stall');
+      // The time is stale: a subtitle left on air would stay there until time arrives again
+      if (titlingOsc()) this.#clearOnAir();
+    });
+    osc.on('recovered', () => {
+      this.#emit('resume');
+      if (titlingOsc()) this.#tick();
+    });
+  }
+
+  /** Clear every track's subtitle on air. */
+  #clearOnAir() {
+    for (const track of this.#tracks) if (track.onAir) this.#clearTrack(track);
+  }
+
+  #start() {
+    this.#active = true;
+    this.#tick();
+  }
+
+  #getCurrentTime() {
+    if (this.#timeMode === 'autonomous') {
+      if (this.#paused) return this.#paused.at;
+      return this.#autonomousStartAt + (Date.now() - this.#autonomousStartWall) / 1000;
+    }
+    // null from the source: no time yet for the clip on the layer
+    return this.#oscTime.getTime() === null ? null : this.#clock.now();
+  }
+
+  /** Media seconds per second the clock runs at */
+  #clockRate() {
+    if (this.#timeMode === 'autonomous') return this.#paused ? 0 : 1;
+    return this.#clock.rate;
+  }
+
+  /** Bring what is on air in line with the current time, and aim the timer at the next change. */
+  #tick() {
+    const t = this.#getCurrentTime();
+    // Not while paused with the subtitle cleared, nor on stale time; OSC mode has no time before the first update
+    const held = this.#paused?.clear
+      || (this.#timeMode === 'osc' && (this.#oscTime.isStalled() || (this.#oscTime.isPaused() && this.#config.onPause === 'clear')));
+    if (!held && t != null) {
+      for (const track of this.#tracks) this.#tickTrack(track, t);
+    }
+    this.#schedule(t);
+  }
+
+  /**
+   * Set the timer for the next check at the next segment boundary on any track, so subtitles switch on time without polling.
+   * @param {number | null} t - current media time
+   */
+  #schedule(t) {
+    clearTimeout(this.#tickTimer);
+    this.#tickTimer = null;
+    if (!this.#active) return;
+    let delay = MAX_TICK_MS;
+    const rate = this.#clockRate();
+    if (t != null && rate > 0) {
+      const boundary = Math.min(...this.#tracks.map((track) => this.#nextBoundary(track, t)));
+      if (boundary < Infinity) delay = Math.min(delay, ((boundary - t) / rate) * 1000);
+    }
+    // A timer can fire a little early: at least 1 ms, and the check after it aims again
+    this.#tickTimer = setTimeout(() => {
+      this.#tickTimer = null;
+      this.#tick();
+    }, Math.max(1, Math.ceil(delay)));
+  }
+
+  /**
+   * @param {Track} track
+   * @param {number} t - media time in seconds
+   * @returns {number} media time of the track's next segment start or end after t, Infinity if none
+   */
+  #nextBoundary(track, t) {
+    return track.schedule.nextChange(this.#fileTime(track, t)) - this.#effectiveOffset(track);
+  }
+
+  /**
+   * @param {Track} track
+   * @param {import('./titling-engine.js').DisplayState} state - state to put on air
+   */
+  #showState(track, state) {
+    const seg = state.display;
+    this.#caspar.sendPackets(track.encoder.encodeSubtitle(seg.lines, {
+      startRow: seg.row,
+      endRow: seg.endRow,
+      align: seg.align,
+      position: seg.position,
+      doubleHeight: seg.doubleHeight,
+    }));
+    track.onAir = state;
+    this.#emit('show', { page: pageNumber(track.info), index: state.indexes[0], start: seg.start, end: seg.end, lines: seg.lines });
+  }
+
+  /** @param {Track} track */
+  #clearTrack(track) {
+    this.#caspar.sendPackets(track.encoder.encodeSubtitle([]));
+    track.onAir = null;
+    this.#emit('clear', { page: pageNumber(track.info) });
+  }
+
+  /**
+   * @param {Track} track
+   * @param {number} mediaTime - current media time in seconds
+   */
+  #tickTrack(track, mediaTime) {
+    const state = track.schedule.displayStateAt(this.#fileTime(track, mediaTime));
+    // States showing the same subtitle share its display object: nothing to send
+    if (state.display === (track.onAir?.display ?? null)) {
+      if (track.onAir) track.onAir = state;
+      return;
+    }
+    if (state.display) this.#showState(track, state);
+    else this.#clearTrack(track);
+  }
+}
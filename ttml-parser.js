@@ -0,0 +1,393 @@
+import { Colour, colourFromName, isTransparent, serializeRuns } from './teletext-attributes.js';
+
+/**
+ * TTML / EBU-TT-D subtitle parser. Returns cues with start and end in seconds, and text, plus warnings
+ * for document features that cannot be carried to teletext.
+ *
+ * Supported: <p> timing in clock-time (hh:mm:ss.fff, hh:mm:ss:ff) and offset-time (12.5s, 250f, 1000t ...),
+ * begin/end/dur inherited through <body>/<div>, ttp:frameRate / ttp:frameRateMultiplier / ttp:tickRate,
+ * <br/>, nested <span>, referential and inline styles (tts:color / tts:backgroundColor → nearest teletext colour),
+ * and regions (vertical position → teletext row, horizontal extent and tts:textAlign → row alignment).
+ */
+
+const NS = {
+  'http://www.w3.org/ns/ttml': 'tt',
+  'http://www.w3.org/ns/ttml#styling': 'tts',
+  'http://www.w3.org/ns/ttml#parameter': 'ttp',
+  'http://www.w3.org/ns/ttml#metadata': 'ttm',
+  'http://www.w3.org/XML/1998/namespace': 'xml',
+};
+
+/** Last display row for teletext subtitles */
+const LAST_ROW = 23;
+/** Teletext page height in rows (0–24) used to map region percentages to rows */
+const PAGE_ROWS = 25;
+const MAX_LINES = 2;
+
+/** Styling attributes with a teletext representation; every other tts:* attribute is reported as unsupported. */
+const SUPPORTED_STYLES = new Set(['origin', 'extent', 'displayAlign', 'textAlign', 'color', 'backgroundColor']);
+/** Styling attributes that never affect teletext output and are ignored without a warning. */
+const IGNORED_STYLES = new Set(['fontFamily', 'lineHeight', 'padding', 'showBackground', 'overflow', 'writingMode', 'unicodeBidi', 'direction']);
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (m, e) => {
+    if (e[0] === '#') return String.fromCodePoint(e[1] === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+    return ENTITIES[e] ?? m;
+  });
+}
+
+/**
+ * Minimal XML parser: elements, attributes, text, CDATA. Comments, processing instructions and DOCTYPE are skipped.
+ * Names are resolved against their namespace declarations to the prefixes in NS (unknown namespaces keep their URI).
+ * @param {string} xml
+ * @returns {{ name: string, attrs: Record<string, string>, children: (object | string)[] }}
+ */
+function parseXML(xml) {
+  const root = { name: '#document', attrs: {}, children: [], ns: { xml: 'http://www.w3.org/XML/1998/namespace' } };
+  const stack = [root];
+  const tagRegex = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+  const attrRegex = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let last = 0;
+  let match;
+
+  const resolve = (qname, ns, isAttribute) => {
+    const colon = qname.indexOf(':');
+    const prefix = colon >= 0 ? qname.slice(0, colon) : '';
+    const local = colon >= 0 ? qname.slice(colon + 1) : qname;
+    if (!prefix && isAttribute) return local; // unprefixed attributes have no namespace
+    const uri = ns[prefix];
+    const known = uri !== undefined ? NS[uri] : undefined;
+    if (known === 'tt') return local;
+    if (known) return known + ':' + local;
+    return (uri ?? prefix) + ':' + local;
+  };
+
+  while ((match = tagRegex.exec(xml))) {
+    const parent = stack[stack.length - 1];
+    const text = xml.slice(last, match.index);
+    if (text) parent.children.push(decodeEntities(text));
+    last = tagRegex.lastIndex;
+
+    if (match[1] !== undefined) {
+      parent.children.push(match[1]);
+      continue;
+    }
+    if (!match[3]) continue; // comment, PI or DOCTYPE
+
+    if (match[2]) {
+      if (stack.length > 1) stack.pop();
+      continue;
+    }
+
+    const rawAttrs = [];
+    const ns = { ...parent.ns };
+    let a;
+    attrRegex.lastIndex = 0;
+    while ((a = attrRegex.exec(match[4]))) {
+      const value = decodeEntities(a[2] ?? a[3]);
+      if (a[1] === 'xmlns') ns[''] = value;
+      else if (a[1].startsWith('xmlns:')) ns[a[1].slice(6)] = value;
+      else rawAttrs.push([a[1], value]);
+    }
+    const attrs = {};
+    for (const [qname, value] of rawAttrs) attrs[resolve(qname, ns, true)] = value;
+    const element = { name: resolve(match[3], ns, false), attrs, children: [], ns };
+    parent.children.push(element);
+    if (!match[5]) stack.push(element);
+  }
+  return root;
+}
+
+/**
+ * Timing parameters from the <tt> element.
+ * @param {Record<string, string>} attrs
+ */
+function timingParameters(attrs) {
+  const frameRate = parseFloat(attrs['ttp:frameRate']) || 30;
+  const [num, den] = (attrs['ttp:frameRateMultiplier'] || '1 1').split(/\s+/).map(Number);
+  const effectiveFrameRate = frameRate * ((num || 1) / (den || 1));
+  const subFrameRate = parseFloat(attrs['ttp:subFrameRate']) || 1;
+  const tickRate = parseFloat(attrs['ttp:tickRate']) || (attrs['ttp:frameRate'] ? frameRate * subFrameRate : 1);
+  return { effectiveFrameRate, subFrameRate, tickRate, timeBase: attrs['ttp:timeBase'] || 'media' };
+}
+
+/**
+ * Parse a TTML time expression.
+ * @param {string | undefined} expr
+ * @param {ReturnType<typeof timingParameters>} params
+ * @returns {number | undefined} seconds
+ */
+function parseTime(expr, params) {
+  if (expr == null) return undefined;
+  const value = expr.trim();
+  const clock = /^(\d{2,}):(\d{2}):(\d{2})(?:(\.\d+)|:(\d{2,})(?:\.(\d+))?)?$/.exec(value);
+  if (clock) {
+    const [, h, m, s, fraction, frames, subFrames] = clock;
+    let seconds = parseInt(h, 10) * 3600 + parseInt(m, 10) * 60 + parseInt(s, 10);
+    if (fraction) seconds += parseFloat(fraction);
+    if (frames) seconds += (parseInt(frames, 10) + (subFrames ? parseInt(subFrames, 10) / params.subFrameRate : 0)) / params.effectiveFrameRate;
+    return seconds;
+  }
+  const offset = /^(\d+(?:\.\d+)?)(h|ms|m|s|f|t)$/.exec(value);
+  if (offset) {
+    const n = parseFloat(offset[1]);
+    switch (offset[2]) {
+      case 'h': return n * 3600;
+      case 'm': return n * 60;
+      case 's': return n;
+      case 'ms': return n / 1000;
+      case 'f': return n / params.effectiveFrameRate;
+      case 't': return n / params.tickRate;
+    }
+  }
+  throw new Error('Invalid TTML time expression: ' + expr);
+}
+
+/**
+ * @param {object} node
+ * @returns {object[]} child elements
+ */
+function elements(node) {
+  return node.children.filter((c) => typeof c !== 'string');
+}
+
+/**
+ * @param {object} node
+ * @param {string} name
+ * @returns {object | undefined}
+ */
+function child(node, name) {
+  return elements(node).find((c) => c.name === name);
+}
+
+/**
+ * Styling attributes (tts:*) of an element without the prefix.
+ * @param {object} el
+ * @returns {Record<string, string>}
+ */
+function inlineStyles(el) {
+  const out = {};
+  for (const [key, value] of Object.entries(el.attrs)) {
+    if (key.startsWith('tts:')) out[key.slice(4)] = value;
+  }
+  return out;
+}
+
+/**
+ * Collects warnings and reports each distinct message once with an occurrence count.
+ */
+class Warnings {
+  #counts = new Map();
+
+  add(message) {
+    this.#counts.set(message, (this.#counts.get(message) ?? 0) + 1);
+  }
+
+  toArray() {
+    return Array.from(this.#counts, ([message, count]) => (count > 1 ? `${message} (${count} occurrences)` : message));
+  }
+}
+
+/**
+ * Map a length expression to a fraction of the page size along one axis.
+ * @param {string} length - e.g. "80%", "20c", "432px"
+ * @param {number} cells - cell resolution along the axis
+ * @param {number} [pixels] - root extent along the axis in pixels
+ * @returns {number | undefined}
+ */
+function fraction(length, cells, pixels) {
+  const m = /^(-?\d+(?:\.\d+)?)(%|c|px)$/.exec(length ?? '');
+  if (!m) return undefined;
+  const n = parseFloat(m[1]);
+  if (m[2] === '%') return n / 100;
+  if (m[2] === 'c') return n / cells;
+  return pixels ? n / pixels : undefined;
+}
+
+/** tts:textAlign → teletext row alignment */
+const TEXT_ALIGN = { left: 'start', start: 'start', center: 'center', right: 'end', end: 'end' };
+
+/**
+ * Teletext layout for a block of lineCount lines placed in a region: the vertical position becomes a start row
+ * (or an end row for displayAlign="after"), the horizontal extent and text alignment become align/position.
+ * @param {Record<string, string>} style - computed region style
+ * @param {string | undefined} textAlign - computed tts:textAlign of the paragraph
+ * @param {number} lineCount
+ * @param {{ cellColumns: number, cellRows: number, pixelWidth?: number, pixelHeight?: number }} extent
+ * @returns {{ row?: number, endRow?: number, align?: string, position?: number }}
+ */
+function regionLayout(style, textAlign, lineCount, extent) {
+  const [originX, originY] = style.origin?.trim().split(/\s+/) ?? [];
+  const [extentX, extentY] = style.extent?.trim().split(/\s+/) ?? [];
+  const x = fraction(originX, extent.cellColumns, extent.pixelWidth);
+  const y = fraction(originY, extent.cellRows, extent.pixelHeight);
+  const w = fraction(extentX, extent.cellColumns, extent.pixelWidth);
+  const h = fraction(extentY, extent.cellRows, extent.pixelHeight);
+  const layout = {};
+
+  const align = TEXT_ALIGN[textAlign];
+  if (align) layout.align = align;
+  if (x !== undefined && w !== undefined) {
+    const anchor = align === 'start' ? x : align === 'end' ? x + w : x + w / 2;
+    layout.position = Math.max(0, Math.min(100, Math.round(anchor * 100)));
+  }
+
+  if (y !== undefined) {
+    const top = Math.max(1, Math.round(y * PAGE_ROWS));
+    const bottom = h !== undefined ? Math.min(LAST_ROW, Math.round((y + h) * PAGE_ROWS) - 1) : top + lineCount - 1;
+    if (style.displayAlign === 'after') layout.endRow = Math.max(1, bottom);
+    else if (style.displayAlign === 'center') layout.row = Math.max(1, Math.round((top + bottom - lineCount + 1) / 2));
+    else layout.row = top;
+  }
+  return layout;
+}
+
+/**
+ * @param {string} ttmlContent - Raw TTML / EBU-TT-D document
+ * @returns {{ cues: { start: number, end: number, text: string, row?: number, endRow?: number, align?: string, position?: number }[], warnings: string[] }}
+ */
+export function parseTTML(ttmlContent) {
+  const doc = parseXML(ttmlContent);
+  const tt = elements(doc).find((e) => e.name === 'tt');
+  if (!tt) throw new Error('Not a TTML document: missing <tt> element');
+
+  const warnings = new Warnings();
+  const params = timingParameters(tt.attrs);
+  if (params.timeBase !== 'media') warnings.add(`ttp:timeBase="${params.timeBase}" is not supported, times are treated as media time`);
+  const [cellColumns, cellRows] = (tt.attrs['ttp:cellResolution'] || '32 15').split(/\s+/).map(Number);
+  const [pixelWidth, pixelHeight] = (tt.attrs['tts:extent'] || '').split(/\s+/).map((v) => parseFloat(v));
+  const extent = { cellColumns: cellColumns || 32, cellRows: cellRows || 15, pixelWidth: pixelWidth || undefined, pixelHeight: pixelHeight || undefined };
+
+  // Referential styles and regions from <head>
+  const head = child(tt, 'head');
+  const styling = head && child(head, 'styling');
+  const layout = head && child(head, 'layout');
+  const styleDefs = new Map();
+  const regionDefs = new Map();
+  for (const style of styling ? elements(styling) : []) {
+    if (style.name === 'style' && style.attrs['xml:id']) styleDefs.set(style.attrs['xml:id'], style);
+  }
+  for (const region of layout ? elements(layout) : []) {
+    if (region.name === 'region' && region.attrs['xml:id']) regionDefs.set(region.attrs['xml:id'], region);
+  }
+
+  /** Resolve an element's style attribute (chained referential styles) plus its inline styles. */
+  const resolveStyles = (el, seen = new Set()) => {
+    const out = {};
+    for (const id of (el.attrs.style || '').split(/\s+/).filter(Boolean)) {
+      const def = styleDefs.get(id);
+      if (!def || seen.has(id)) continue;
+      seen.add(id);
+      Object.assign(out, resolveStyles(def, seen));
+    }
+    return Object.assign(out, inlineStyles(el));
+  };
+
+  const checkStyles = (style) => {
+    for (const [name, value] of Object.entries(style)) {
+      if (SUPPORTED_STYLES.has(name) || IGNORED_STYLES.has(name)) continue;
+      warnings.add(`Unsupported style tts:${name}="${value}" ignored`);
+    }
+  };
+
+  const cues = [];
+
+  /** Teletext colours of a computed style. */
+  const colours = (style) => {
+    const fg = style.color !== undefined ? colourFromName(style.color) : Colour.White;
+    if (fg === undefined) warnings.add(`Unsupported colour tts:color="${style.color}" shown white`);
+    const transparent = style.backgroundColor === undefined || isTransparent(style.backgroundColor);
+    const bg = transparent ? Colour.Black : colourFromName(style.backgroundColor);
+    if (bg === undefined) warnings.add(`Unsupported colour tts:backgroundColor="${style.backgroundColor}" shown black`);
+    return { fg: fg ?? Colour.White, bg: bg ?? Colour.Black };
+  };
+
+  /** Styled text of a <p> as lines of runs; reports unsupported inline features. */
+  const collectLines = (el, style, lines) => {
+    for (const node of el.children) {
+      if (typeof node === 'string') {
+        lines[lines.length - 1].push({ text: node, ...colours(style) });
+        continue;
+      }
+      if (node.name === 'br') {
+        lines.push([]);
+      } else if (node.name === 'span') {
+        if (node.attrs.begin || node.attrs.end || node.attrs.dur) warnings.add('Timing on <span> is not supported, span shown for the whole paragraph');
+        const spanStyle = resolveStyles(node);
+        checkStyles(spanStyle);
+        collectLines(node, { ...style, ...spanStyle }, lines);
+      } else if (node.name === 'set') {
+        warnings.add('Style animation (<set>) is not supported');
+      } else if (node.name !== 'metadata' && !node.name.startsWith('ttm:')) {
+        warnings.add(`Unsupported element <${node.name}> ignored`);
+      }
+    }
+    return lines;
+  };
+
+  /**
+   * Walk body/div/p, carrying the inherited time interval, region and style.
+   * @param {object} el
+   * @param {number} parentBegin
+   * @param {number} parentEnd
+   * @param {string | undefined} parentRegion
+   * @param {Record<string, string>} parentStyle
+   */
+  const walk = (el, parentBegin, parentEnd, parentRegion, parentStyle) => {
+    const begin = parentBegin + (parseTime(el.attrs.begin, params) ?? 0);
+    let end = parentEnd;
+    const endAttr = parseTime(el.attrs.end, params);
+    const dur = parseTime(el.attrs.dur, params);
+    if (endAttr !== undefined) end = Math.min(parentEnd, parentBegin + endAttr);
+    else if (dur !== undefined) end = Math.min(parentEnd, begin + dur);
+    const region = el.attrs.region ?? parentRegion;
+
+    if (el.name !== 'p' && el.name !== 'body' && el.name !== 'div') {
+      if (el.name !== 'metadata' && !el.name.startsWith('ttm:')) warnings.add(`Unsupported element <${el.name}> ignored`);
+      return;
+    }
+    const ownStyle = resolveStyles(el);
+    checkStyles(ownStyle);
+    const style = { ...parentStyle, ...ownStyle };
+    if (el.name !== 'p') {
+      for (const c of elements(el)) walk(c, begin, end, region, style);
+      return;
+    }
+
+    const lines = collectLines(el, style, [[]]).filter((runs) => runs.some((r) => r.text.trim()));
+    if (!lines.length) return;
+    if (!Number.isFinite(end)) {
+      warnings.add('Paragraph without end time skipped');
+      return;
+    }
+    if (end <= begin) return;
+
+    const runs = lines.flatMap((line, i) => (i ? [{ text: ' ' }, ...line] : line));
+    const cue = { start: begin, end, text: serializeRuns(runs).replace(/\s+/g, ' ').trim() };
+    if (region !== undefined) {
+      const regionEl = regionDefs.get(region);
+      if (!regionEl) {
+        warnings.add(`Unknown region "${region}" ignored`);
+      } else {
+        const regionStyle = resolveStyles(regionEl);
+        checkStyles(regionStyle);
+        Object.assign(cue, regionLayout(regionStyle, style.textAlign ?? regionStyle.textAlign, Math.min(MAX_LINES, lines.length), extent));
+      }
+    } else if (TEXT_ALIGN[style.textAlign]) {
+      cue.align = TEXT_ALIGN[style.textAlign];
+    }
+    cues.push(cue);
+  };
+
+  const body = child(tt, 'body');
+  if (body) walk(body, 0, Infinity, undefined, {});
+  cues.sort((a, b) => a.start - b.start);
+
+  return { cues, warnings: warnings.toArray() };
+}
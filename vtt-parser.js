@@ -1,9 +1,123 @@
+import { Colour, colourFromName, serializeRuns } from './teletext-attributes.js';
+
+/** Last display row for teletext subtitles */
+const LAST_ROW = 23;
+
+/** Colours given to <v> speakers without a configured colour, in order of first appearance */
+const DEFAULT_VOICE_PALETTE = ['yellow', 'cyan', 'green'];
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': ' ', '&lrm;': '', '&rlm;': '' };
+
+/**
+ * Create the voice → colour lookup for one programme. Configured speakers keep their colour; others get the
+ * next palette colour on first appearance and keep it for the rest of the file.
+ * @param {{ voiceColours?: Record<string, string>, voicePalette?: string[] }} [options]
+ * @returns {(voice: string) => number}
+ */
+export function createVoiceColours({ voiceColours = {}, voicePalette = DEFAULT_VOICE_PALETTE } = {}) {
+  const toColour = (name) => {
+    const colour = colourFromName(name);
+    if (colour === undefined) throw new Error('Unknown teletext colour: ' + name);
+    return colour;
+  };
+  const assigned = new Map(Object.entries(voiceColours).map(([voice, name]) => [voice, toColour(name)]));
+  const palette = voicePalette.map(toColour);
+  let next = 0;
+  return (voice) => {
+    if (!assigned.has(voice)) assigned.set(voice, palette.length ? palette[next++ % palette.length] : Colour.White);
+    return assigned.get(voice);
+  };
+}
+
+/**
+ * Convert WebVTT cue text markup to text with teletext colour attributes.
+ * <c> and <v> classes select colours (white, lime/green, cyan, red, yellow, magenta, blue, black; bg_* for background),
+ * <v> speakers without a colour class get their voice colour. <i>, <b>, <u>, <lang>, <ruby> and timestamps have no
+ * teletext equivalent and are dropped, keeping their text; <rt> annotations are dropped entirely.
+ * @param {string} text
+ * @param {(voice: string) => number} voiceColour
+ * @returns {string}
+ */
+export function parseCueText(text, voiceColour) {
+  const runs = [];
+  const stack = [{ tag: null, fg: Colour.White, bg: Colour.Black, hidden: false }];
+  for (const token of text.split(/(<[^>]*>)/)) {
+    if (!token) continue;
+    const top = stack[stack.length - 1];
+    if (!token.startsWith('<')) {
+      if (!top.hidden) runs.push({ text: token.replace(/&(?:amp|lt|gt|nbsp|lrm|rlm);/g, (e) => ENTITIES[e]), fg: top.fg, bg: top.bg });
+      continue;
+    }
+    const tag = /^<(\/?)([a-z]+)((?:\.[^\s.>]+)*)(?:\s+([^>]*))?>$/i.exec(token);
+    if (!tag) continue; // timestamp or malformed tag
+    const [, closing, name, classList, annotation] = tag;
+    if (closing) {
+      const index = stack.findLastIndex((entry) => entry.tag === name);
+      if (index > 0) stack.length = index;
+      continue;
+    }
+    const entry = { ...top, tag: name };
+    let fg;
+    for (const cls of classList.split('.').filter(Boolean)) {
+      if (cls.startsWith('bg_')) entry.bg = colourFromName(cls.slice(3)) ?? entry.bg;
+      else fg = colourFromName(cls) ?? fg;
+    }
+    if (name === 'v' && fg === undefined && annotation?.trim()) fg = voiceColour(annotation.trim());
+    if (fg !== undefined) entry.fg = fg;
+    if (name === 'rt') entry.hidden = true;
+    stack.push(entry);
+  }
+  return serializeRuns(runs);
+}
+
+/**
+ * Map WebVTT cue settings (line, position, align) to teletext layout.
+ * line: a line number counts rows from the top (0 = row 1), a negative number from the bottom (-1 = row 23 holds the last line);
+ * a percentage places the cue on rows 1–23 with the optional line alignment (start/center → first line, end → last line).
+ * position: percentage of the row width the cue is anchored at. align: start/left, center, end/right.
+ * @param {string} settings - Text after the end timestamp on the timing line
+ * @returns {{ row?: number, endRow?: number, align?: 'start' | 'center' | 'end', position?: number }}
+ */
+export function parseCueSettings(settings) {
+  const layout = {};
+  for (const token of settings.trim().split(/\s+/)) {
+    const colon = token.indexOf(':');
+    if (colon <= 0) continue;
+    const name = token.slice(0, colon);
+    const [value, alignment] = token.slice(colon + 1).split(',');
+    if (name === 'line') {
+      const percent = /^(\d+(?:\.\d+)?)%$/.exec(value);
+      if (percent) {
+        const row = 1 + Math.round((Math.min(100, parseFloat(percent[1])) / 100) * (LAST_ROW - 1));
+        if (alignment === 'end') layout.endRow = row;
+        else layout.row = row;
+      } else if (/^-?\d+$/.test(value)) {
+        const n = parseInt(value, 10);
+        if (n >= 0) layout.row = Math.min(LAST_ROW, 1 + n);
+        else layout.endRow = Math.max(1, LAST_ROW + 1 + n);
+      }
+    } else if (name === 'position') {
+      const percent = /^(\d+(?:\.\d+)?)%$/.exec(value);
+      if (percent) layout.position = Math.min(100, parseFloat(percent[1]));
+    } else if (name === 'align') {
+      if (value === 'start' || value === 'left') layout.align = 'start';
+      else if (value === 'end' || value === 'right') layout.align = 'end';
+      else if (value === 'center' || value === 'middle') layout.align = 'center';
+    }
+  }
+  return layout;
+}
+
 /**
  * WebVTT file parser. Returns cues with start and end in seconds, and text.
+ * Cue settings on the timing line are mapped to teletext layout, see parseCueSettings; cue text markup is
+ * mapped to teletext colours, see parseCueText.
  * @param {string} vttContent - Raw VTT file content
- * @returns {{ start: number, end: number, text: string }[]}
+ * @param {{ voiceColours?: Record<string, string>, voicePalette?: string[] }} [options] - speaker colours, see createVoiceColours
+ * @returns {{ start: number, end: number, text: string, row?: number, endRow?: number, align?: string, position?: number }[]}
  */
-export function parseVTT(vttContent) {
+export function parseVTT(vttContent, options = {}) {
+  const voiceColour = createVoiceColours(options);
   const lines = vttContent.split(/\r?\n/);
   const cues = [];
   let i = 0;
@@ -31,9 +145,9 @@ export function parseVTT(vttContent) {
       textLines.push(lines[i].trim());
       i++;
     }
-    const text = textLines.join(' ').replace(/\s+/g, ' ').trim();
+    const text = parseCueText(textLines.join(' '), voiceColour).replace(/\s+/g, ' ').trim();
     if (text) {
-      cues.push({ start, end, text });
+      cues.push({ start, end, text, ...parseCueSettings(timeLine.slice(match[0].length)) });
     }
     i++;
   }
@@ -1,164 +1,444 @@
 import http from 'node:http';
-import fs from 'node:fs/promises';
-import { parseVTT } from './vtt-parser.js';
-import { cuesToSegments } from './titling-engine.js';
-import { CasparClient } from './caspar-client.js';
-import { createOSCTimeSource } from './osc-time-source.js';
-
-const GAP_BEFORE_CLEAR_S = 2;
-const TICK_MS = 100;
+import { WebSocketServer } from 'ws';
+import { TitlingSession } from './titling-session.js';
+import { renderANSI, renderHTML, renderText } from './teletext-preview.js';
+import { FRAME_RATES, frameRate } from './timecode.js';
+import { encoderOptionsError, teletextPage, titlingRequest } from './titling-request.js';
+import { layerAddressError } from './auto-titling.js';
+
 const HTTP_PORT = (parseInt(process.env.HTTP_PORT, 10) || 8080);
+const DEFAULT_SESSION = 'default';
+/** Session events forwarded to event stream clients */
+const SESSION_EVENTS = ['show', 'clear', 'connect', 'disconnect', 'stall', 'resume', 'clip-changed', 'looped', 'paused', 'playing'];
+const KEEP_ALIVE_MS = 15000;
+const TRANSPORT_ACTIONS = ['pause', 'resume', 'seek', 'nudge'];
+
+/** @type {Map<string, TitlingSession>} */
+const sessions = new Map();
+let nextSessionNumber = 1;
 
-/** @type {{ start: number, end: number, lines: string[] }[]} */
-let segments = [];
-let lastShownSegmentIndex = -1;
-let tickTimer = null;
-
-/** "osc" = time from CasparCG OSC; "autonomous" = local clock from startAt (seconds in VTT) */
-let timeMode = 'osc';
-/** When timeMode === 'autonomous': VTT time at which we started (seconds). */
-let autonomousStartAt = 0;
-/** When timeMode === 'autonomous': wall-clock ms when we started (Date.now()). */
-let autonomousStartWall = 0;
-
-const caspar = new CasparClient({
-  host: process.env.CASPAR_HOST || 'localhost',
-  port: parseInt(process.env.CASPAR_PORT, 10) || 5250,
+/**
+ * Rows visible in roll-up mode from ROLL_UP_ROWS; a value out of range stops the server rather than failing in the session.
+ * @returns {number | undefined}
+ */
+function envRollUpRows() {
+  const value = process.env.ROLL_UP_ROWS;
+  if (!value) return undefined;
+  const rows = Number(value);
+  if (!(Number.isInteger(rows) && rows >= 2 && rows <= 4)) {
+    console.error(`ROLL_UP_ROWS must be 2-4, not "${value}"`);
+    process.exit(1);
+  }
+  return rows;
+}
+
+sessions.set(DEFAULT_SESSION, new TitlingSession(DEFAULT_SESSION, {
+  casparHost: process.env.CASPAR_HOST || 'localhost',
+  casparPort: parseInt(process.env.CASPAR_PORT, 10) || 5250,
   channelLayer: process.env.CASPAR_CHANNEL_LAYER || '1-301',
-});
+  oscPort: parseInt(process.env.OSC_PORT, 10) || 6250,
+  oscTimeAddress: process.env.OSC_TIME_ADDRESS || '/channel/1/stage/layer/1/foreground/file/time',
+  // Automatic titling follows the clip of one layer
+  anyTimeAddress: !process.env.SUBTITLE_MAPPING && !process.env.SUBTITLE_DIR,
+  newforPort: parseInt(process.env.NEWFOR_PORT, 10) || undefined,
+  liveMinDisplay: process.env.LIVE_MIN_DISPLAY ? parseFloat(process.env.LIVE_MIN_DISPLAY) : undefined,
+  liveIdleTimeout: process.env.LIVE_IDLE_TIMEOUT ? parseFloat(process.env.LIVE_IDLE_TIMEOUT) : undefined,
+  liveMode: process.env.LIVE_MODE === 'rollup' ? 'rollup' : undefined,
+  rollUpRows: envRollUpRows(),
+  onPause: process.env.ON_PAUSE === 'clear' ? 'clear' : undefined,
+  delayMs: parseFloat(process.env.DELAY_MS) || undefined,
+  frameRate: process.env.FRAME_RATE || undefined,
+  oscFrameAddress: process.env.OSC_FRAME_ADDRESS || undefined,
+  stallTimeout: process.env.STALL_TIMEOUT ? parseFloat(process.env.STALL_TIMEOUT) : undefined,
+  subtitleMapping: process.env.SUBTITLE_MAPPING || undefined,
+  subtitleDir: process.env.SUBTITLE_DIR || undefined,
+}));
 
-const oscTime = createOSCTimeSource({
-  port: parseInt(process.env.OSC_PORT, 10) || 6250,
-  timeAddress: process.env.OSC_TIME_ADDRESS || '/channel/1/stage/layer/1/foreground/file/time',
-});
+/**
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<{ data?: any, error?: string }>}
+ */
+async function readJSON(req) {
+  let body = '';
+  for await (const chunk of req) body += chunk;
+  try {
+    return { data: JSON.parse(body || '{}') };
+  } catch {
+    return { error: 'Invalid JSON' };
+  }
+}
 
-function startTitling() {
-  if (tickTimer) return;
-  tickTimer = setInterval(tick, TICK_MS);
+/**
+ * Validate a session creation body.
+ * @param {any} data
+ * @returns {{ error: string } | { id: string, config: import('./titling-session.js').SessionConfig }}
+ */
+function sessionRequest(data) {
+  data ??= {};
+  const { id: requestedId } = data;
+  if (requestedId !== undefined) {
+    if (typeof requestedId !== 'string' || !/^[\w-]+$/.test(requestedId)) return { error: 'id must consist of letters, digits, "_" and "-"' };
+    if (sessions.has(requestedId)) return { error: `Session ${requestedId} already exists` };
+  }
+  const { casparHost, casparPort, channelLayer, oscPort, oscTimeAddress, newforPort, packetBudget, liveMinDisplay, liveIdleTimeout, liveMode, rollUpRows, onPause, delayMs, frameRate: rate, oscFrameAddress, stallTimeout, subtitleMapping, subtitleDir, language, nationalOption } = data;
+  for (const [name, value] of Object.entries({ casparHost, channelLayer, oscTimeAddress, oscFrameAddress, subtitleMapping, subtitleDir })) {
+    if (value !== undefined && typeof value !== 'string') return { error: `${name} must be a string` };
+  }
+  for (const [name, value] of Object.entries({ casparPort, oscPort, newforPort })) {
+    if (value !== undefined && !(Number.isInteger(value) && value > 0 && value < 65536)) return { error: `${name} must be a port number` };
+  }
+  if (packetBudget !== undefined && !(Number.isInteger(packetBudget) && packetBudget >= 1)) return { error: 'packetBudget must be a positive integer' };
+  for (const [name, value] of Object.entries({ liveMinDisplay, liveIdleTimeout, stallTimeout })) {
+    if (value !== undefined && !(typeof value === 'number' && value >= 0)) return { error: `${name} must be a number of seconds` };
+  }
+  if (liveMode !== undefined && liveMode !== 'block' && liveMode !== 'rollup') return { error: 'liveMode must be "block" or "rollup"' };
+  if (rollUpRows !== undefined && !(Number.isInteger(rollUpRows) && rollUpRows >= 2 && rollUpRows <= 4)) return { error: 'rollUpRows must be 2-4' };
+  if (onPause !== undefined && onPause !== 'freeze' && onPause !== 'clear') return { error: 'onPause must be "freeze" or "clear"' };
+  if (delayMs !== undefined && !(typeof delayMs === 'number' && Number.isFinite(delayMs))) return { error: 'delayMs must be a number of milliseconds' };
+  if (rate !== undefined) {
+    try {
+      frameRate(rate);
+    } catch {
+      return { error: 'frameRate must be one of ' + Object.keys(FRAME_RATES).join(', ') };
+    }
+  }
+  // The default addresses name layer 1
+  const timeAddress = rate === undefined ? oscTimeAddress : oscFrameAddress;
+  if ((subtitleMapping !== undefined || subtitleDir !== undefined) && timeAddress !== undefined) {
+    const layerError = layerAddressError({ timeAddress });
+    if (layerError) return { error: layerError };
+  }
+  const address = teletextPage(data);
+  if (address.error) return { error: address.error };
+  const error = encoderOptionsError({ language, nationalOption });
+  if (error) return { error };
+  const encoder = { language, nationalOption, ...address };
+  // Numbered only once the request is valid, passing over ids clients chose themselves
+  let id = requestedId;
+  while (id === undefined || sessions.has(id)) id = `session-${nextSessionNumber++}`;
+  return { id, config: { casparHost, casparPort, channelLayer, oscPort, oscTimeAddress, newforPort, packetBudget, liveMinDisplay, liveIdleTimeout, liveMode, rollUpRows, onPause, delayMs, frameRate: rate, oscFrameAddress, stallTimeout, subtitleMapping, subtitleDir, encoder } };
+}
+
+/**
+ * Validate live text: { text, row?, align?, doubleHeight? }.
+ * @param {any} data
+ * @returns {{ error: string } | { text: string, layout: import('./live-titling.js').LiveLayout }}
+ */
+function liveTextRequest(data) {
+  const { text, row, align, doubleHeight } = data ?? {};
+  if (typeof text !== 'string' || !text.trim()) return { error: 'Missing text' };
+  if (row !== undefined && !(Number.isInteger(row) && row >= 1 && row <= 23)) return { error: 'row must be 1-23' };
+  if (align !== undefined && !['start', 'center', 'end'].includes(align)) return { error: 'align must be "start", "center" or "end"' };
+  if (doubleHeight !== undefined && typeof doubleHeight !== 'boolean') return { error: 'doubleHeight must be a boolean' };
+  return { text, layout: { row, align, doubleHeight } };
 }
 
-function stopTitling() {
-  if (tickTimer) {
-    clearInterval(tickTimer);
-    tickTimer = null;
+/**
+ * Run a live command, from HTTP or a WebSocket message.
+ * @param {TitlingSession} session
+ * @param {'text' | 'clear'} action
+ * @param {any} data - live text request for "text"
+ * @returns {{ status: number, body: object }}
+ */
+function liveCommand(session, action, data) {
+  if (action === 'clear') {
+    session.clearLive();
+    return { status: 200, body: { ok: true, message: 'Live subtitle cleared' } };
   }
-  lastShownSegmentIndex = -1;
-  caspar.clearTitle();
+  const request = liveTextRequest(data);
+  if (request.error) return { status: 400, body: { error: request.error } };
+  if (session.titlingActive) return { status: 409, body: { error: 'File titling is active; stop it before sending live text' } };
+  if (session.newforActive) return { status: 409, body: { error: 'NEWFOR titling is active; clear it from the workstation before sending live text' } };
+  return { status: 200, body: { ok: true, session: session.id, ...session.pushLiveText(request.text, request.layout) } };
+}
+
+/**
+ * Live subtitles over a WebSocket. Each message is JSON, { "text": "..." } (with the optional layout of POST …/live/text)
+ * or { "clear": true }; a message that is not JSON is shown as text. Every message is answered with the JSON result.
+ * @param {TitlingSession} session
+ * @param {import('ws').WebSocket} ws
+ */
+function handleLiveSocket(session, ws) {
+  // A deleted session takes its sockets with it
+  const terminate = () => ws.terminate();
+  session.once('closed', terminate);
+  ws.on('close', () => session.off('closed', terminate));
+  ws.on('message', (message, isBinary) => {
+    if (isBinary) {
+      ws.send(JSON.stringify({ error: 'Send text messages' }));
+      return;
+    }
+    let data;
+    try {
+      data = JSON.parse(message.toString());
+    } catch {
+      data = { text: message.toString() };
+    }
+    if (typeof data !== 'object' || data === null) data = { text: message.toString() };
+    const { body } = liveCommand(session, data.clear === true ? 'clear' : 'text', data);
+    ws.send(JSON.stringify(body));
+  });
 }
 
-function getCurrentTime() {
-  if (timeMode === 'autonomous') {
-    return autonomousStartAt + (Date.now() - autonomousStartWall) / 1000;
+/**
+ * Validate a transport control body: pause { clear? }, resume, seek { time } (seconds), nudge { deltaMs }.
+ * @param {string} action
+ * @param {any} data
+ * @returns {{ error: string } | { run: (session: TitlingSession) => { time: number, paused: boolean } }}
+ */
+function transportRequest(action, data) {
+  data ??= {};
+  if (action === 'pause') {
+    if (data.clear !== undefined && typeof data.clear !== 'boolean') return { error: 'clear must be a boolean' };
+    return { run: (session) => session.pause({ clear: data.clear }) };
   }
-  return oscTime.getTime();
+  if (action === 'seek') {
+    if (!(typeof data.time === 'number' && Number.isFinite(data.time) && data.time >= 0)) return { error: 'time must be a number of seconds' };
+    return { run: (session) => session.seek(data.time) };
+  }
+  if (action === 'nudge') {
+    if (!(typeof data.deltaMs === 'number' && Number.isFinite(data.deltaMs))) return { error: 'deltaMs must be a number of milliseconds' };
+    return { run: (session) => session.nudge(data.deltaMs) };
+  }
+  return { run: (session) => session.resume() };
 }
 
-function tick() {
-  const t = getCurrentTime();
-  if (t == null) return; // OSC mode and no time yet
+/**
+ * Server-sent events of a session: a "status" event with session.status(), then each session event as it happens, until the
+ * client goes or the session is deleted.
+ * @param {TitlingSession} session
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+function streamEvents(session, req, res) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  send('status', session.status());
+  const listeners = SESSION_EVENTS.map((event) => [event, (data) => send(event, data)]);
+  listeners.forEach(([event, listener]) => session.on(event, listener));
+  // Comment lines keep proxies from closing a quiet stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+  const detach = () => {
+    clearInterval(keepAlive);
+    listeners.forEach(([event, listener]) => session.off(event, listener));
+    session.off('closed', end);
+  };
+  // A deleted session ends its streams
+  const end = () => {
+    detach();
+    res.end();
+  };
+  session.once('closed', end);
+  req.on('close', detach);
+}
 
-  if (!segments.length) {
-    if (lastShownSegmentIndex >= 0) {
-      caspar.clearTitle();
-      lastShownSegmentIndex = -1;
+/**
+ * Routes of one session's titling: POST …/titling, POST|DELETE …/titling/stop, GET …/titling/preview, GET …/titling/status,
+ * GET …/titling/events, POST|PUT …/titling/delay, and the autonomous clock's POST …/titling/pause, …/resume, …/seek and …/nudge.
+ * @param {TitlingSession} session
+ * @param {string} action - "", "stop", "preview", "status", "events", "delay", "pause", "resume", "seek" or "nudge"
+ */
+async function handleTitling(session, action, req, res, url) {
+  if (req.method === 'POST' && action === '') {
+    if (session.liveActive) {
+      res.statusCode = 409;
+      res.end(JSON.stringify({ error: 'Live titling is active; clear it before titling a file' }));
+      return;
+    }
+    if (session.newforActive) {
+      res.statusCode = 409;
+      res.end(JSON.stringify({ error: 'NEWFOR titling is active; clear it from the workstation before titling a file' }));
+      return;
+    }
+    const { data, error: jsonError } = await readJSON(req);
+    const request = jsonError ? { error: jsonError } : titlingRequest(data);
+    if (request.error) {
+      res.statusCode = 400;
+      res.end(JSON.stringify({ error: request.error }));
+      return;
+    }
+    try {
+      const result = request.multiple
+        ? await session.loadTracks(request.tracks, request.options)
+        : await session.load(request.tracks[0].path, { ...request.tracks[0], ...request.options });
+      res.statusCode = 200;
+      res.end(JSON.stringify({ ok: true, session: session.id, ...result }));
+    } catch (err) {
+      res.statusCode = 400;
+      res.end(JSON.stringify({ error: err.message }));
     }
     return;
   }
 
-  let currentIndex = -1;
-  for (let i = 0; i < segments.length; i++) {
-    if (t >= segments[i].start && t < segments[i].end) {
-      currentIndex = i;
-      break;
+  if (req.method === 'GET' && action === 'preview') {
+    const format = url.searchParams.get('format') ?? 'html';
+    let page = session.caspar.lastPage;
+    if (url.searchParams.has('page')) {
+      const address = teletextPage({ page: url.searchParams.get('page') });
+      if (address.error) {
+        res.statusCode = 400;
+        res.end(JSON.stringify({ error: address.error }));
+        return;
+      }
+      page = session.caspar.page(address.magazine || 8, address.page);
+    }
+    res.statusCode = 200;
+    if (format === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.end(renderHTML(page));
+    } else if (format === 'text' || format === 'ansi') {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      res.end((format === 'text' ? renderText(page) : renderANSI(page)) + '\n');
+    } else {
+      res.statusCode = 400;
+      res.end(JSON.stringify({ error: 'format must be "html", "text" or "ansi"' }));
     }
+    return;
   }
 
-  if (currentIndex >= 0) {
-    if (currentIndex !== lastShownSegmentIndex) {
-      const seg = segments[currentIndex];
-      caspar.sendTitle(seg.lines);
-      lastShownSegmentIndex = currentIndex;
+  if (req.method === 'GET' && action === 'status') {
+    res.statusCode = 200;
+    res.end(JSON.stringify(session.status()));
+    return;
+  }
+
+  if (req.method === 'GET' && action === 'events') {
+    streamEvents(session, req, res);
+    return;
+  }
+
+  if (req.method === 'POST' && TRANSPORT_ACTIONS.includes(action)) {
+    const { data, error: jsonError } = await readJSON(req);
+    const request = jsonError ? { error: jsonError } : transportRequest(action, data);
+    if (request.error) {
+      res.statusCode = 400;
+      res.end(JSON.stringify({ error: request.error }));
+      return;
+    }
+    try {
+      const state = request.run(session);
+      res.statusCode = 200;
+      res.end(JSON.stringify({ ok: true, session: session.id, ...state }));
+    } catch (err) {
+      res.statusCode = 409;
+      res.end(JSON.stringify({ error: err.message }));
     }
     return;
   }
 
-  // Not inside any segment: check if we just left one and whether to clear
-  const nextSegmentStart = segments.find((s) => s.start > t)?.start;
-  const gapToNext = nextSegmentStart != null ? nextSegmentStart - t : Infinity;
-  if (lastShownSegmentIndex >= 0) {
-    if (gapToNext > GAP_BEFORE_CLEAR_S) {
-      caspar.clearTitle();
-      lastShownSegmentIndex = -1;
+  if ((req.method === 'POST' || req.method === 'PUT') && action === 'delay') {
+    const { data, error: jsonError } = await readJSON(req);
+    const delayMs = data?.delayMs;
+    if (jsonError || !(typeof delayMs === 'number' && Number.isFinite(delayMs))) {
+      res.statusCode = 400;
+      res.end(JSON.stringify({ error: jsonError ?? 'delayMs must be a number of milliseconds' }));
+      return;
     }
+    res.statusCode = 200;
+    res.end(JSON.stringify({ ok: true, session: session.id, ...session.setDelay(delayMs) }));
+    return;
   }
+
+  if ((req.method === 'POST' || req.method === 'DELETE') && action === 'stop') {
+    session.stop();
+    res.statusCode = 200;
+    res.end(JSON.stringify({ ok: true, message: 'Titling stopped, title cleared' }));
+    return;
+  }
+
+  res.statusCode = 404;
+  res.end(JSON.stringify({ error: 'Not found' }));
 }
 
 /**
- * @param {string} vttPath
- * @param {{ timeMode?: 'osc' | 'autonomous', startAt?: number }} options
+ * Routes of one session's live subtitles: POST …/live/text, POST …/live/clear or DELETE …/live.
+ * @param {TitlingSession} session
+ * @param {string} action - "", "text" or "clear"
  */
-async function loadVTT(vttPath, options = {}) {
-  const content = await fs.readFile(vttPath, 'utf-8');
-  const cues = parseVTT(content);
-  segments = cuesToSegments(cues);
-  lastShownSegmentIndex = -1;
-
-  timeMode = options.timeMode === 'autonomous' ? 'autonomous' : 'osc';
-  if (timeMode === 'autonomous') {
-    autonomousStartAt = typeof options.startAt === 'number' ? options.startAt : 0;
-    autonomousStartWall = Date.now();
+async function handleLive(session, action, req, res) {
+  let command = null;
+  if (req.method === 'POST' && action === 'text') command = 'text';
+  if ((req.method === 'POST' && action === 'clear') || (req.method === 'DELETE' && action === '')) command = 'clear';
+  if (!command) {
+    res.statusCode = 404;
+    res.end(JSON.stringify({ error: 'Not found' }));
+    return;
   }
-
-  startTitling();
-  return { cues: cues.length, segments: segments.length, timeMode, startAt: timeMode === 'autonomous' ? autonomousStartAt : undefined };
+  const { data, error: jsonError } = command === 'text' ? await readJSON(req) : {};
+  const { status, body } = jsonError ? { status: 400, body: { error: jsonError } } : liveCommand(session, command, data);
+  res.statusCode = status;
+  res.end(JSON.stringify(body));
 }
 
 const server = http.createServer(async (req, res) => {
   const url = new URL(req.url || '', `http://${req.headers.host}`);
   res.setHeader('Content-Type', 'application/json');
 
-  if (req.method === 'POST' && (url.pathname === '/titling' || url.pathname === '/titling/')) {
-    let body = '';
-    for await (const chunk of req) body += chunk;
-    let data;
-    try {
-      data = JSON.parse(body || '{}');
-    } catch {
-      res.statusCode = 400;
-      res.end(JSON.stringify({ error: 'Invalid JSON' }));
+  // Existing /titling routes act on the default session
+  const titling = /^\/titling(?:\/(stop|preview|status|events|delay|pause|resume|seek|nudge))?\/?$/.exec(url.pathname);
+  if (titling) {
+    await handleTitling(sessions.get(DEFAULT_SESSION), titling[1] ?? '', req, res, url);
+    return;
+  }
+
+  const live = /^\/live(?:\/(text|clear))?\/?$/.exec(url.pathname);
+  if (live) {
+    await handleLive(sessions.get(DEFAULT_SESSION), live[1] ?? '', req, res);
+    return;
+  }
+
+  if (url.pathname === '/sessions' || url.pathname === '/sessions/') {
+    if (req.method === 'GET') {
+      res.statusCode = 200;
+      res.end(JSON.stringify({ sessions: Array.from(sessions.values(), (session) => session.describe()) }));
       return;
     }
-    const vttPath = data.vttPath ?? data.path;
-    if (!vttPath || typeof vttPath !== 'string') {
-      res.statusCode = 400;
-      res.end(JSON.stringify({ error: 'Missing vttPath' }));
+    if (req.method === 'POST') {
+      const { data, error: jsonError } = await readJSON(req);
+      const request = jsonError ? { error: jsonError } : sessionRequest(data);
+      if (request.error) {
+        res.statusCode = 400;
+        res.end(JSON.stringify({ error: request.error }));
+        return;
+      }
+      const session = new TitlingSession(request.id, request.config);
+      sessions.set(session.id, session);
+      res.statusCode = 201;
+      res.end(JSON.stringify({ ok: true, ...session.describe() }));
       return;
     }
-    const timeModeOpt = data.timeMode;
-    const startAt = data.startAt;
-    if (timeModeOpt !== undefined && timeModeOpt !== 'osc' && timeModeOpt !== 'autonomous') {
+  }
+
+  const sessionRoute = /^\/sessions\/([\w-]+)(?:\/(titling|live)(?:\/(stop|preview|status|events|delay|pause|resume|seek|nudge|text|clear))?)?\/?$/.exec(url.pathname);
+  const session = sessionRoute && sessions.get(sessionRoute[1]);
+  if (sessionRoute && !session) {
+    res.statusCode = 404;
+    res.end(JSON.stringify({ error: `No session ${sessionRoute[1]}` }));
+    return;
+  }
+  if (session && sessionRoute[2] === 'titling') {
+    await handleTitling(session, sessionRoute[3] ?? '', req, res, url);
+    return;
+  }
+  if (session && sessionRoute[2] === 'live') {
+    await handleLive(session, sessionRoute[3] ?? '', req, res);
+    return;
+  }
+  if (session && req.method === 'GET') {
+    res.statusCode = 200;
+    res.end(JSON.stringify(session.describe()));
+    return;
+  }
+  if (session && req.method === 'DELETE') {
+    if (session.id === DEFAULT_SESSION) {
       res.statusCode = 400;
-      res.end(JSON.stringify({ error: 'timeMode must be "osc" or "autonomous"' }));
+      res.end(JSON.stringify({ error: 'The default session cannot be deleted' }));
       return;
     }
-    try {
-      const result = await loadVTT(vttPath, {
-        timeMode: timeModeOpt,
-        startAt: typeof startAt === 'number' ? startAt : undefined,
-      });
-      res.statusCode = 200;
-      res.end(JSON.stringify({ ok: true, ...result }));
-    } catch (err) {
-      res.statusCode = 400;
-      res.end(JSON.stringify({ error: err.message }));
-    }
-    return;
-  }
-
-  if ((req.method === 'POST' || req.method === 'DELETE') && url.pathname === '/titling/stop') {
-    stopTitling();
+    session.close();
+    sessions.delete(session.id);
     res.statusCode = 200;
-    res.end(JSON.stringify({ ok: true, message: 'Titling stopped, title cleared' }));
+    res.end(JSON.stringify({ ok: true, message: `Session ${session.id} deleted` }));
     return;
   }
 
@@ -166,17 +446,38 @@ const server = http.createServer(async (req, res) => {
   res.end(JSON.stringify({ error: 'Not found' }));
 });
 
-caspar.connect();
+// WebSocket live subtitles: ws://host/live for the default session, ws://host/sessions/:id/live for others
+const liveSockets = new WebSocketServer({ noServer: true });
+server.on('upgrade', (req, socket, head) => {
+  const { pathname } = new URL(req.url || '', `http://${req.headers.host}`);
+  const route = /^(?:\/sessions\/([\w-]+))?\/live\/?$/.exec(pathname);
+  const session = route && sessions.get(route[1] ?? DEFAULT_SESSION);
+  if (!session) {
+    socket.destroy();
+    return;
+  }
+  liveSockets.handleUpgrade(req, socket, head, (ws) => {
+    // Deleted while the handshake ran
+    if (sessions.get(session.id) !== session) ws.terminate();
+    else handleLiveSocket(session, ws);
+  });
+});
+
 server.listen(HTTP_PORT, () => {
   console.log('VTT-to-OP47 API listening on http://localhost:' + HTTP_PORT);
   console.log('  POST /titling     body: { "vttPath": "...", "timeMode": "osc"|"autonomous", "startAt": 0 }');
   console.log('  POST /titling/stop  or  DELETE /titling/stop  to stop and clear');
+  console.log('  GET  /titling/preview?format=html|text|ansi[&page=888]  current page as sent');
+  console.log('  POST /titling/delay  body: { "delayMs": 80 }  subtitle delay against the media time');
+  console.log('  POST /titling/pause|resume|seek|nudge  body: {} | {} | { "time": 90 } | { "deltaMs": -500 }  autonomous clock');
+  console.log('  GET  /titling/status, GET /titling/events  what is on air now, and server-sent events as it changes');
+  console.log('  POST /live/text   body: { "text": "..." }, POST /live/clear, or WebSocket ws://.../live  live subtitles');
+  console.log('  GET|POST /sessions, GET|DELETE /sessions/:id, /sessions/:id/titling[/stop|/preview]  per channel sessions');
 });
 
 process.on('SIGINT', () => {
-  stopTitling();
-  oscTime.close();
-  caspar.disconnect();
+  liveSockets.clients.forEach((ws) => ws.terminate());
+  sessions.forEach((session) => session.close());
   server.close();
   process.exit(0);
 });
@@ -0,0 +1,303 @@
+import { Buffer } from 'node:buffer';
+import { hammingCorrect24, hammingDecodeNybble, hasOddParity } from './parity.js';
+import { NATIONAL_SUBSETS, g0Character, g2Character, toLogicalOrder, withDiacritic } from './teletext-charset.js';
+import { Colour, BLACK_BACKGROUND, NEW_BACKGROUND } from './teletext-attributes.js';
+
+/**
+ * Teletext packet decoder, the inverse of WSTEncoder: rebuilds pages from the packets sent with APPLY … OP47
+ * so what goes on air can be checked without a hardware decoder.
+ * Hamming 8/4 and 24/18 single bit errors are corrected, odd parity is checked; every error is reported on the page.
+ */
+
+const START_BOX = 0x0B;
+const END_BOX = 0x0A;
+const NORMAL_SIZE = 0x0C;
+const DOUBLE_HEIGHT = 0x0D;
+
+/** Packet X/26 modes (ETS 300 706 Table 28/29) */
+const SET_ACTIVE_POSITION = 0x04;
+const TERMINATION_MARKER = 0x1F;
+const G2_CHARACTER = 0x0F;
+const G0_CHARACTER = 0x10;
+
+/**
+ * @typedef {Object} Cell
+ * @property {string} ch - Unicode character shown in the cell (a space for spacing attributes)
+ * @property {number} fg - foreground colour 0–7
+ * @property {number} bg - background colour 0–7
+ * @property {boolean} boxed - inside a box (shown over video on subtitle pages)
+ * @property {boolean} doubleHeight
+ *
+ * @typedef {Object} DecodedRow
+ * @property {number} row
+ * @property {string} raw - all 40 cells as Unicode, spacing attributes kept as their control characters
+ * @property {string} text - the boxed subtitle text (or the trimmed row when there is no box), with colour attributes inline;
+ *   Arabic rows read back in logical order
+ * @property {Cell[]} cells
+ *
+ * @typedef {Object} DecodedPage
+ * @property {number} magazine - 1–8
+ * @property {number} page - page number within the magazine, 0x00–0xFF
+ * @property {number} subCode
+ * @property {{ erase: boolean, newsflash: boolean, subtitle: boolean, suppressHeader: boolean, update: boolean, interruptedSequence: boolean, inhibitDisplay: boolean, magazineSerial: boolean }} control
+ * @property {string} nationalOption - character set the rows were decoded with
+ * @property {DecodedRow[]} rows - rows with content, in row order
+ * @property {string[]} lines - text of each row with content
+ * @property {string[]} errors
+ */
+
+/**
+ * Split an "APPLY <channel-layer> OP47 <base64> …" command into its packets.
+ * @param {string} command
+ * @returns {Uint8Array[]}
+ */
+export function packetsFromCommand(command) {
+  const [verb, , type, ...payload] = command.trim().split(/\s+/);
+  if (verb?.toUpperCase() !== 'APPLY' || type?.toUpperCase() !== 'OP47') throw new Error('Not an APPLY … OP47 command');
+  return payload.map((data) => Uint8Array.from(Buffer.from(data, 'base64')));
+}
+
+/**
+ * Character set of a page from its header option bits and X/28 designation group.
+ * @param {number} group
+ * @param {number} option
+ * @returns {string}
+ */
+function nationalOptionOf(group, option) {
+  const match = Object.entries(NATIONAL_SUBSETS).find(([, subset]) => subset.group === group && subset.option === option);
+  return match ? match[0] : 'english';
+}
+
+export class TeletextDecoder {
+  /** Pages by magazine and page number */
+  #pages = new Map();
+  /** Page currently received on each magazine (parallel transmission) */
+  #current = new Map();
+
+  /**
+   * Decode packets in transmission order.
+   * @param {(Uint8Array | string)[]} packets - packet bytes, or base64 strings as in an OP47 command
+   * @returns {DecodedPage[]} pages touched by these packets
+   */
+  decodePackets(packets) {
+    const touched = new Set();
+    for (const packet of packets) {
+      const bytes = typeof packet === 'string' ? Uint8Array.from(Buffer.from(packet, 'base64')) : packet;
+      const state = this.#decodePacket(bytes);
+      if (state) touched.add(state);
+    }
+    return Array.from(touched, (state) => this.#build(state));
+  }
+
+  /**
+   * @param {string} command - APPLY … OP47 command
+   * @returns {DecodedPage[]}
+   */
+  decodeCommand(command) {
+    return this.decodePackets(packetsFromCommand(command));
+  }
+
+  /** @returns {DecodedPage[]} every page received so far */
+  get pages() {
+    return Array.from(this.#pages.values(), (state) => this.#build(state));
+  }
+
+  /**
+   * @param {number} magazine - 1–8
+   * @param {number} page - 0x00–0xFF
+   * @returns {DecodedPage | undefined}
+   */
+  page(magazine, page) {
+    const state = this.#pages.get(`${magazine}/${page}`);
+    return state && this.#build(state);
+  }
+
+  #decodePacket(bytes) {
+    if (bytes.length < 5 || bytes[0] !== 0x55 || bytes[1] !== 0x55 || bytes[2] !== 0x27) return null;
+    const address1 = hammingDecodeNybble(bytes[3]);
+    const address2 = hammingDecodeNybble(bytes[4]);
+    if (!address1 || !address2) return null; // the packet cannot be placed anywhere
+    const magazine = (address1.value & 0x07) || 8;
+    const packetNumber = (address1.value >> 3) | (address2.value << 1);
+    const data = bytes.subarray(5);
+
+    if (packetNumber === 0) return this.#decodeHeader(magazine, data);
+
+    const state = this.#current.get(magazine);
+    if (!state) return null;
+    if (address1.corrected || address2.corrected) state.errors.push(`Packet ${packetNumber}: corrected Hamming 8/4 error in the packet address`);
+    if (packetNumber <= 24) state.rows.set(packetNumber, this.#checkParity(data, `Row ${packetNumber}`, []));
+    else if (packetNumber === 26 || packetNumber === 28) this.#decodeTriplets(state, packetNumber, data);
+    return state;
+  }
+
+  #decodeHeader(magazine, data) {
+    const nybbles = Array.from(data.subarray(0, 8), (b) => hammingDecodeNybble(b));
+    const errors = [];
+    if (nybbles.some((n) => !n)) {
+      this.#current.delete(magazine);
+      return null;
+    }
+    if (nybbles.some((n) => n.corrected)) errors.push('Header: corrected Hamming 8/4 error');
+    const [units, tens, s1, s2, s3, s4, cb1, cb2] = nybbles.map((n) => n.value);
+    const page = (tens << 4) | units;
+
+    // Page FF only ends the previous page (time filling header)
+    if (page === 0xFF) {
+      this.#current.delete(magazine);
+      return null;
+    }
+
+    const key = `${magazine}/${page}`;
+    const control = {
+      erase: !!(s2 & 0x8),
+      newsflash: !!(s4 & 0x4),
+      subtitle: !!(s4 & 0x8),
+      suppressHeader: !!(cb1 & 0x1),
+      update: !!(cb1 & 0x2),
+      interruptedSequence: !!(cb1 & 0x4),
+      inhibitDisplay: !!(cb1 & 0x8),
+      magazineSerial: !!(cb2 & 0x1),
+    };
+    const previous = this.#pages.get(key);
+    const state = {
+      magazine,
+      page,
+      subCode: s1 | ((s2 & 0x7) << 4) | (s3 << 8) | ((s4 & 0x3) << 12),
+      control,
+      // C12 is the most significant bit of the option
+      option: (((cb2 >> 1) & 1) << 2) | (((cb2 >> 2) & 1) << 1) | ((cb2 >> 3) & 1),
+      group: 0,
+      rows: control.erase || !previous ? new Map() : previous.rows,
+      enhancements: control.erase || !previous ? new Map() : previous.enhancements,
+      errors,
+    };
+    state.errors.push(...this.#checkParity(data.subarray(8), 'Header', []).errors);
+    this.#pages.set(key, state);
+    this.#current.set(magazine, state);
+    return state;
+  }
+
+  /**
+   * @returns {{ bytes: Uint8Array, errors: string[] }} 7-bit row bytes; bytes failing the parity check become spaces
+   */
+  #checkParity(data, label, errors) {
+    const bytes = Uint8Array.from(data, (b, column) => {
+      if (hasOddParity(b)) return b & 0x7F;
+      errors.push(`${label}, column ${column}: parity error`);
+      return 0x20;
+    });
+    return { bytes, errors };
+  }
+
+  #decodeTriplets(state, packetNumber, data) {
+    const designation = hammingDecodeNybble(data[0]);
+    if (!designation) {
+      state.errors.push(`X/${packetNumber}: uncorrectable designation code`);
+      return;
+    }
+    const triplets = [];
+    for (let i = 1; i + 3 <= data.length; i += 3) {
+      const triplet = hammingCorrect24(Array.from(data.subarray(i, i + 3)));
+      if (!triplet) state.errors.push(`X/${packetNumber}/${designation.value}, triplet ${(i - 1) / 3 + 1}: uncorrectable Hamming 24/18 error`);
+      else if (triplet.corrected) state.errors.push(`X/${packetNumber}/${designation.value}, triplet ${(i - 1) / 3 + 1}: corrected Hamming 24/18 error`);
+      triplets.push(triplet?.value ?? null);
+    }
+
+    if (packetNumber === 26) {
+      state.enhancements.set(designation.value, triplets);
+    } else if (designation.value === 0 && triplets[0] !== null) {
+      // X/28/0: bits 8–14 of triplet 1 designate the default G0/G2 sets
+      state.group = (triplets[0] >> 10) & 0xF;
+      state.option = (triplets[0] >> 7) & 0x7;
+    }
+  }
+
+  /**
+   * Rebuild a page: rows decoded in the page's character set with X/26 characters applied.
+   * @returns {DecodedPage}
+   */
+  #build(state) {
+    const nationalOption = nationalOptionOf(state.group, state.option);
+    const errors = [...state.errors];
+    /** @type {Map<number, string[]>} */
+    const chars = new Map();
+    for (const [row, { bytes, errors: rowErrors }] of state.rows) {
+      chars.set(row, Array.from(bytes, (code) => g0Character(code, nationalOption)));
+      errors.push(...rowErrors);
+    }
+    this.#applyEnhancements(state, chars, nationalOption);
+
+    const rows = Array.from(chars.keys())
+      .sort((a, b) => a - b)
+      .map((row) => this.#buildRow(row, chars.get(row), state.rows.get(row).bytes, nationalOption))
+      .filter((row) => row.text !== '');
+    return {
+      magazine: state.magazine,
+      page: state.page,
+      subCode: state.subCode,
+      control: { ...state.control },
+      nationalOption,
+      rows,
+      lines: rows.map((row) => row.text),
+      errors,
+    };
+  }
+
+  #applyEnhancements(state, chars, nationalOption) {
+    let activeRow = null;
+    // Latin pages take X/26 G0 characters from the basic Latin set, without the national option subset
+    const g0 = NATIONAL_SUBSETS[nationalOption].g0 ? (code) => g0Character(code, nationalOption) : (code) => String.fromCharCode(code);
+    const designations = Array.from(state.enhancements.keys()).sort((a, b) => a - b);
+    for (const designation of designations) {
+      for (const value of state.enhancements.get(designation)) {
+        if (value === null) continue;
+        const address = value & 0x3F;
+        const mode = (value >> 6) & 0x1F;
+        const data = (value >> 11) & 0x7F;
+        if (address >= 40) {
+          // Row address group: address 40 = row 24, 41–63 = rows 1–23
+          if (mode === TERMINATION_MARKER) return;
+          if (mode === SET_ACTIVE_POSITION) activeRow = address === 40 ? 24 : address - 40;
+          continue;
+        }
+        const row = activeRow !== null ? chars.get(activeRow) : undefined;
+        if (!row) continue;
+        if (mode === G2_CHARACTER) row[address] = g2Character(data);
+        else if (mode >= G0_CHARACTER) row[address] = withDiacritic(g0(data), mode - G0_CHARACTER);
+      }
+    }
+  }
+
+  /**
+   * @param {number} row
+   * @param {string[]} chars - Unicode per column
+   * @param {Uint8Array} bytes - 7-bit codes per column
+   * @param {string} nationalOption - Arabic rows are read back into logical order
+   * @returns {DecodedRow}
+   */
+  #buildRow(row, chars, bytes, nationalOption) {
+    let fg = Colour.White;
+    let bg = Colour.Black;
+    let boxed = false;
+    let doubleHeight = false;
+    const cells = [];
+    for (let column = 0; column < chars.length; column++) {
+      const code = bytes[column];
+      // Set-At attributes take effect in their own cell
+      if (code === BLACK_BACKGROUND) bg = Colour.Black;
+      else if (code === NEW_BACKGROUND) bg = fg;
+      else if (code === NORMAL_SIZE) doubleHeight = false;
+      cells.push({ ch: code < 0x20 && chars[column] === String.fromCharCode(code) ? ' ' : chars[column], fg, bg, boxed, doubleHeight });
+      // Set-After attributes from the next cell on
+      if (code <= 0x07) fg = code;
+      else if (code === DOUBLE_HEIGHT) doubleHeight = true;
+      else if (code === START_BOX && bytes[column - 1] === START_BOX) boxed = true;
+      else if (code === END_BOX && bytes[column - 1] === END_BOX) boxed = false;
+    }
+    const raw = chars.join('');
+    const box = /\x0b\x0b([\s\S]*?)\x0a\x0a/.exec(raw);
+    const text = toLogicalOrder(box ? box[1] : raw.replace(/[\x08-\x0F]/g, ' ').trim(), nationalOption);
+    return { row, raw, text, cells };
+  }
+}
@@ -1,21 +1,25 @@
-import { applyParity, hammingEncodeNybble } from "./parity.js";
+import { applyParity, hammingEncode24, hammingEncodeNybble } from "./parity.js";
 import X26Encoder from "./x26-encoder.js";
+import { LANGUAGES, NATIONAL_SUBSETS, baseCharacter, toVisualOrder } from "./teletext-charset.js";
 /**
  * @typedef {import('stream').Writable} WriteStream
  */
 
 const spaces = n => Array(n).fill(' ').join('');
 
-/** Czech diacritical → base letter. Row must stay 7-bit (0x20–0x7F) so decoder shows a, c, r not weird glyphs. */
-const CZECH_TO_BASE = new Map([
-  ["á", "a"], ["č", "c"], ["ď", "d"], ["é", "e"], ["ě", "e"], ["í", "i"], ["ň", "n"], ["ó", "o"],
-  ["ř", "r"], ["š", "s"], ["ť", "t"], ["ú", "u"], ["ů", "u"], ["ý", "y"], ["ž", "z"],
-  ["Á", "A"], ["Č", "C"], ["Ď", "D"], ["É", "E"], ["Ě", "E"], ["Í", "I"], ["Ň", "N"], ["Ó", "O"],
-  ["Ř", "R"], ["Š", "S"], ["Ť", "T"], ["Ú", "U"], ["Ů", "U"], ["Ý", "Y"], ["Ž", "Z"]
-]);
+/** Last row available for subtitles; row 24 is reserved for fastext navigation. */
+const LAST_ROW = 23;
 
-function toBaseLetters(str) {
-  return Array.from(str, c => CZECH_TO_BASE.get(c) ?? (c.codePointAt(0) <= 0x7F ? c : "?")).join("");
+/** Double height control code (Set-After). The row below a double height row is covered and must stay empty. */
+const DOUBLE_HEIGHT = "\x0d";
+
+/**
+ * Level 1 only row: every character replaced by one the national option subset can show.
+ * @param {string} str
+ * @param {string} nationalOption
+ */
+function toBaseLetters(str, nationalOption) {
+  return Array.from(str, c => String.fromCharCode(baseCharacter(c, nationalOption))).join("");
 }
 
 export default class WSTEncoder {
@@ -26,20 +30,33 @@ export default class WSTEncoder {
   #doubleHeight; // valid values are true or false
 
   #diacriticsEncoding = "x26";
+  #nationalOption = "english";
   #x26Opts = {};
+  /** X/26 packets in the last page sent; an update without erase must replace all of them */
+  #sentEnhancements = 0;
 
   /** @param {Object} opts
-   *  @param {"latin2"|"x26"} [opts.diacriticsEncoding="x26"] - "x26": Czech via packet 26; "latin2": base letters only
+   *  @param {string} [opts.language] - language code (cs, de, pl, ...) selecting the page's national option subset; English if omitted
+   *  @param {string} [opts.nationalOption] - national option subset (czech, german, ...), overrides the one chosen by language
+   *  @param {"latin2"|"x26"} [opts.diacriticsEncoding="x26"] - "x26": characters outside the national subset via packet 26; "latin2": base letters only
    *  @param {"g2"|"compose"} [opts.caronEncoding="compose"] - caron: "compose" = base + diacritic index 15; "g2" = precomposed G2
    *  @param {number} [opts.caronDiacriticIndex=15] - when caronEncoding="compose", G2 col 4 index for caron (this decoder: 15)
    *  @param {"default"|"alt1"|"alt2"|"iso88592"} [opts.g2Variant="default"] - when caronEncoding="g2", which G2 code set
    */
-  constructor({ startRow = 19, doubleHeight = false, magazine = 0, page = 0x01, diacriticsEncoding = "x26", caronEncoding, caronDiacriticIndex, g2Variant } = {}) {
+  constructor({ startRow = 19, doubleHeight = false, magazine = 0, page = 0x01, language, nationalOption, diacriticsEncoding = "x26", caronEncoding, caronDiacriticIndex, g2Variant } = {}) {
     this.#magazine = magazine;
     this.#page = page;
     this.#startRow = startRow;
     this.#doubleHeight = doubleHeight;
     this.#diacriticsEncoding = diacriticsEncoding;
+    if (language !== undefined) {
+      if (!LANGUAGES[language]) throw new Error("Unsupported teletext language: " + language);
+      this.#nationalOption = LANGUAGES[language].nationalOption;
+    }
+    if (nationalOption !== undefined) {
+      if (!NATIONAL_SUBSETS[nationalOption]) throw new Error("Unknown national option subset: " + nationalOption);
+      this.#nationalOption = nationalOption;
+    }
     const env = typeof process !== "undefined" && process.env ? process.env : {};
     const cEnc = caronEncoding ?? (env.CARON_ENCODING === "compose" || env.CARON_ENCODING === "g2" ? env.CARON_ENCODING : undefined);
     const cIdx = caronDiacriticIndex ?? (env.CARON_DIACRITIC_INDEX != null ? parseInt(env.CARON_DIACRITIC_INDEX, 10) : undefined);
@@ -65,7 +82,7 @@ export default class WSTEncoder {
     ]);
   }
 
-  #encodeHeaderPacket({ magazine, page, pageSubCode = 0, erase = 1 } = {}) {
+  #encodeHeaderPacket({ magazine, page, pageSubCode = 0, erase = 1, nationalOption = this.#nationalOption } = {}) {
     const header = this.#encodePrefix(magazine, 0);
     
     const pageUnits = page & 0xF; // (9.3.1.1)
@@ -88,7 +105,12 @@ export default class WSTEncoder {
     cb1 |= 1          // suppress header: control-bit C7
     cb1 |= (1 << 1);  // update indicator: control-bit C8
     
-    let cb2 = 0;      // C11 = 0 indicating "parallel mode", C12-C14 = 0 indicating english character set
+    // C11 = 0 indicating "parallel mode", C12-C14 = national option subset (C12 is the most significant bit)
+    const option = NATIONAL_SUBSETS[nationalOption].option;
+    let cb2 = 0;
+    cb2 |= ((option >> 2) & 1) << 1;  // C12
+    cb2 |= ((option >> 1) & 1) << 2;  // C13
+    cb2 |= (option & 1) << 3;         // C14
 
     const pageControls = Uint8Array.from([pageUnits, pageTens, s1, s2, s3, s4, cb1, cb2].map(nybble => hammingEncodeNybble(nybble & 0xF)));
 
@@ -96,6 +118,25 @@ export default class WSTEncoder {
     return Uint8Array.from([...header, ...pageControls, ...chars]);
   }
 
+  /**
+   * Packet X/28/0 Format 1 (9.4.2): designates the page's default G0 and G2 sets, for character sets outside group 0.
+   * Only triplet 1 carries data; the colour map triplets after it are sent as zeros (CLUTs 2 and 3 all black), which
+   * the page never shows as its rows only use the level 1 colours of CLUT 0.
+   * @param {string} nationalOption
+   */
+  #encodeDesignationPacket(nationalOption) {
+    const { group, option } = NATIONAL_SUBSETS[nationalOption];
+    const designation = (group << 3) | option;
+    // Triplet 1: page function 0 (basic level 1 page), page coding 0 (7-bit odd parity), bits 8-14 = default G0/G2 designation,
+    // bits 15-18 with triplet 2 bits 1-3 = second G0 set, the same as the default one
+    const triplets = Array(13).fill(0);
+    triplets[0] = (designation << 7) | ((designation & 0xF) << 14);
+    triplets[1] = designation >> 4;
+
+    const prefix = this.#encodePrefix(this.#magazine, 28);
+    return Uint8Array.from([...prefix, hammingEncodeNybble(0), ...triplets.flatMap((triplet) => hammingEncode24(triplet))]);
+  }
+
   encodeDummy() {
     const headerPacket = this.#encodeHeaderPacket({
       magazine: this.#magazine,
@@ -108,72 +149,132 @@ export default class WSTEncoder {
   }
 
   /**
-   * TODO: Add support for double height
-   * @param {number} startLine 
-   * @param {string[]} rows 
+   * @param {string[]} rows
+   * @param {Object} [layout]
+   * @param {number} [layout.startRow] - row of the first line (encoder default if neither startRow nor endRow is given)
+   * @param {number} [layout.endRow] - last row the subtitle occupies, used when startRow is not given
+   * @param {"start"|"center"|"end"} [layout.align="center"] - horizontal alignment of each row
+   * @param {number} [layout.position] - horizontal anchor in percent of the row width (default 0, 50 or 100 by align)
+   * @param {boolean} [layout.doubleHeight] - double height rows, each taking two display rows (encoder default if omitted)
+   * @param {string} [layout.nationalOption] - national option subset of this page (encoder default if omitted)
+   * @param {boolean} [layout.erase=true] - false updates the page in place (roll-up): rows not sent keep their content, empty rows are blanked
+   * @param {number[]} [layout.changed] - with erase false, indexes of the rows to send (all if omitted)
    * @returns 
    */
-  encodeSubtitle(rows, { startRow = this.#startRow } = {}) {
+  encodeSubtitle(rows, { startRow, endRow, align = "center", position, doubleHeight = this.#doubleHeight, nationalOption = this.#nationalOption, erase = true, changed } = {}) {
+    if (!NATIONAL_SUBSETS[nationalOption]) throw new Error("Unknown national option subset: " + nationalOption);
+
     // Encode header
     const headerPacket = this.#encodeHeaderPacket({
       magazine: this.#magazine,
       page: this.#page,
-      erase: 1
+      erase: erase ? 1 : 0,
+      nationalOption
     });
 
-    if(!rows?.length)
+    if(!rows?.length) {
+      if (erase) this.#sentEnhancements = 0;
       return [headerPacket];
+    }
+
+    const rowStep = doubleHeight ? 2 : 1;
+    const height = rows.length * rowStep;
+    if (startRow === undefined)
+      startRow = endRow !== undefined ? endRow - height + 1 : this.#startRow;
+
+    // Keep every row on screen
+    startRow = Math.max(1, Math.min(startRow, LAST_ROW - height + 1));
 
     // Encode display rows, this will also create any needed enhancement packets
-    const rowPackets = this.#encodeDisplayRows(startRow, rows);
+    const rowNumbers = rows.map((_, i) => startRow + i * rowStep);
+    const rowPackets = this.#encodeDisplayRows(rowNumbers, rows.map((text) => this.#layoutRow(toVisualOrder(text, nationalOption), align, position, doubleHeight)), nationalOption, erase ? undefined : changed ?? rows.map((_, i) => i));
+
+    if (NATIONAL_SUBSETS[nationalOption].group !== 0)
+      return [headerPacket, this.#encodeDesignationPacket(nationalOption), ...rowPackets];
+    return [headerPacket, ...rowPackets];
+  }
 
+  /**
+   * Page from rows that are already teletext coded, e.g. received from a subtitle workstation: control codes, spacing attributes
+   * and characters of the page's national option subset, laid out by the sender.
+   * @param {{ row: number, data: ArrayLike<number> }[]} rows - row 1-24 and its 40 characters (7 bit values, any parity bit is replaced)
+   * @returns {Uint8Array[]} header (erase set), then the rows
+   */
+  encodeRows(rows) {
+    this.#sentEnhancements = 0;
+    const headerPacket = this.#encodeHeaderPacket({
+      magazine: this.#magazine,
+      page: this.#page,
+      erase: 1,
+    });
+    const rowPackets = rows.map(({ row, data }) => {
+      const prefix = this.#encodePrefix(this.#magazine, row);
+      const chars = Uint8Array.from({ length: 40 }, (_, i) => data[i] ?? 0x20);
+      return Uint8Array.from([...prefix, ...applyParity(chars)]);
+    });
+    if (NATIONAL_SUBSETS[this.#nationalOption].group !== 0)
+      return [headerPacket, this.#encodeDesignationPacket(this.#nationalOption), ...rowPackets];
     return [headerPacket, ...rowPackets];
   }
 
   /**
-   * Build a 40-char row with text centered. Uses box control bytes 0x0b 0x0b before and 0x0a 0x0a after the text.
+   * Build a 40-char row with the text placed by alignment. Uses box control bytes 0x0b 0x0b before and 0x0a 0x0a after the text,
+   * preceded by the double height code when requested.
    * @param {string} text
+   * @param {"start"|"center"|"end"} align
+   * @param {number} [position] - anchor in percent of the row width
+   * @param {boolean} [doubleHeight]
    * @returns {string}
    */
-  #centerRow(text) {
-    const boxLen = 4 + text.length; // \x0b\x0b + text + \x0a\x0a
-    const pad = Math.max(0, 40 - boxLen);
-    const left = Math.floor(pad / 2);
-    const right = pad - left;
-    return `${spaces(left)}\x0b\x0b${text}\x0a\x0a${spaces(right)}`.substring(0, 40);
+  #layoutRow(text, align, position, doubleHeight) {
+    if (!text) return spaces(40);
+    const size = doubleHeight ? DOUBLE_HEIGHT : "";
+    const boxLen = size.length + 4 + text.length; // [\x0d] + \x0b\x0b + text + \x0a\x0a
+    const anchor = Math.round(((position ?? (align === "start" ? 0 : align === "end" ? 100 : 50)) / 100) * 40);
+    let left;
+    if (align === "start") left = anchor;
+    else if (align === "end") left = anchor - boxLen;
+    else left = Math.floor(anchor - boxLen / 2);
+    left = Math.max(0, Math.min(40 - boxLen, left));
+    const right = Math.max(0, 40 - boxLen - left);
+    return `${spaces(left)}${size}\x0b\x0b${text}\x0a\x0a${spaces(right)}`.substring(0, 40);
   }
 
   /**
-   * @param {number} startRow On which row to start displaying the text
-   * @param {string[]} rows The rows of text to display
+   * @param {number[]} rowNumbers On which row to display each text row
+   * @param {string[]} rows The 40-char rows to display
+   * @param {string} nationalOption National option subset given in the page header
+   * @param {number[]} [changed] Page updated without erase: indexes of the rows to send. Enhancements are sent for every row,
+   *   as they replace the ones the decoder has
    */
-  #encodeDisplayRows(startRow, rows) {
+  #encodeDisplayRows(rowNumbers, rows, nationalOption, changed) {
+    const send = (_, i) => !changed || changed.includes(i);
     if (this.#diacriticsEncoding === "latin2") {
       const textEncoder = new TextEncoder();
       return rows.map((text, i) => {
-        const prefix = this.#encodePrefix(this.#magazine, startRow + i);
-        const boxedText = this.#centerRow(text);
-        const baseStr = toBaseLetters(boxedText);
+        const prefix = this.#encodePrefix(this.#magazine, rowNumbers[i]);
+        const baseStr = toBaseLetters(text, nationalOption);
         const textBytes = textEncoder.encode(baseStr);
         const payload = applyParity(textBytes);
         return Uint8Array.from([...prefix, ...payload]);
-      });
+      }).filter(send);
     }
     const textEncoder = new TextEncoder();
-    const x26encoder = new X26Encoder(this.#x26Opts);
+    const x26encoder = new X26Encoder({ nationalOption, ...this.#x26Opts });
     const rowPackets = rows.map((text, i) => {
-      const prefix = this.#encodePrefix(this.#magazine, startRow + i);
-      const boxedText = this.#centerRow(text);
-      const textData = x26encoder.encodeRow(boxedText, startRow + i);
+      const prefix = this.#encodePrefix(this.#magazine, rowNumbers[i]);
+      const textData = x26encoder.encodeRow(text, rowNumbers[i]);
       const textBytes = textEncoder.encode(textData);
       const payload = applyParity(textBytes);
       return Uint8Array.from([...prefix, ...payload]);
     });
-    const enhancementPackets = x26encoder.enhancementPackets.map((enhancement) => {
+    const enhancements = changed ? x26encoder.paddedEnhancementPackets(this.#sentEnhancements) : x26encoder.enhancementPackets;
+    this.#sentEnhancements = enhancements.length;
+    const enhancementPackets = enhancements.map((enhancement) => {
       const prefix = this.#encodePrefix(this.#magazine, 26);
       return Uint8Array.from([...prefix, ...enhancement]);
     });
     // Send enhancement packets first so decoder has diacritic data before row content
-    return [...enhancementPackets, ...rowPackets];
+    return [...enhancementPackets, ...rowPackets.filter(send)];
   }
 }
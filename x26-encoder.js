@@ -1,13 +1,15 @@
 import { bitmask } from "./bit-utils.js";
 import { hammingEncode24, hammingEncodeNybble } from "./parity.js";
+import { Diacritic, resolveCharacter } from "./teletext-charset.js";
 
 /*
   ETS 300 706 (Enhanced Teletext) Level 1.5 – packet X/26 enhancement data.
   OP-47 / VANC teletext follows ETS 300 706 / ITU-R BT.653. EN 300 743 is DVB-SUB (different system).
   Table 29: Column Address mode 10000 = G0 no diacritic; 10001–11111 = G0 with diacritical mark.
   The 4 LSBs of the mode select the diacritical from G2 column 4 (ascending order); data = 7-bit G0 code.
+  Which characters need a triplet depends on the page's national option subset, see teletext-charset.js.
 
-  Caron (č,ď,ě,ň,ř,š,ť,ž): default caronEncoding="compose", caronDiacriticIndex=15 (decoder G2 col 4 index for caron).
+  Caron (č,ď,ě,ň,ř,š,ť,ž): default caronEncoding="compose", caronDiacriticIndex=15 (G2 col 4 index for caron).
   Alternative: caronEncoding="g2" with g2Variant="default"|"alt1"|"alt2"|"iso88592". Env: CARON_ENCODING, CARON_DIACRITIC_INDEX, G2_VARIANT.
 */
 const Mode = Object.freeze({
@@ -19,24 +21,6 @@ const Mode = Object.freeze({
   TerminationMarker: 0x1F
 });
 
-/** G2 column 4 diacritical indices (1–15). This decoder: acute(2), ring(10), caron(15). */
-const DiacriticIndex = Object.freeze({
-  Grave: 1,
-  Acute: 2,
-  Circumflex: 3,
-  Tilde: 4,
-  Macron: 6,
-  Breve: 7,
-  Dot: 8,
-  Diaeresis: 9,
-  Ring: 10,   // ů
-  Cedilla: 11,
-  DoubleAcute: 12,
-  Ogonek: 13,
-  CedillaBelow: 14,
-  Caron: 15   // č, ď, ě, ň, ř, š, ť, ž
-});
-
 /** G2 7-bit code sets for Czech caron letters (č,ď,ě,ň,ř,š,ť,ž + caps). Different decoders use different layouts. */
 const G2_CARON_SETS = Object.freeze({
   default: { lower: [0x62, 0x64, 0x65, 0x6e, 0x72, 0x73, 0x74, 0x7a], upper: [0x42, 0x44, 0x45, 0x4e, 0x52, 0x53, 0x54, 0x5a] },
@@ -48,42 +32,22 @@ const G2_CARON_SETS = Object.freeze({
 const CARON_LETTERS = ["č", "ď", "ě", "ň", "ř", "š", "ť", "ž"];
 const CARON_LETTERS_UC = ["Č", "Ď", "Ě", "Ň", "Ř", "Š", "Ť", "Ž"];
 
-function buildCzechMap(opts) {
-  const caronEncoding = opts.caronEncoding ?? "compose";
-  const caronDiacriticIndex = Math.max(1, Math.min(15, opts.caronDiacriticIndex ?? 15));
-  const g2Variant = opts.g2Variant ?? "default";
-  const g2Set = G2_CARON_SETS[g2Variant] ?? G2_CARON_SETS.default;
-  const caronG2 = (char) => {
-    const i = CARON_LETTERS.indexOf(char);
-    if (i !== -1) return g2Set.lower[i];
-    const j = CARON_LETTERS_UC.indexOf(char);
-    if (j !== -1) return g2Set.upper[j];
-    return null;
-  };
-  const base = (c) => (c === c.toUpperCase() ? c : c.toLowerCase());
-  const map = new Map();
-  const acuteRing = [
-    ["á", "a", DiacriticIndex.Acute], ["é", "e", DiacriticIndex.Acute], ["í", "i", DiacriticIndex.Acute],
-    ["ó", "o", DiacriticIndex.Acute], ["ú", "u", DiacriticIndex.Acute], ["ý", "y", DiacriticIndex.Acute],
-    ["ů", "u", DiacriticIndex.Ring],
-    ["Á", "A", DiacriticIndex.Acute], ["É", "E", DiacriticIndex.Acute], ["Í", "I", DiacriticIndex.Acute],
-    ["Ó", "O", DiacriticIndex.Acute], ["Ú", "U", DiacriticIndex.Acute], ["Ý", "Y", DiacriticIndex.Acute],
-    ["Ů", "U", DiacriticIndex.Ring]
-  ];
-  for (const [ch, b, diac] of acuteRing) {
-    map.set(ch, { base: b, diacritic: diac, g2: null, useCompose: true });
-  }
-  const caronBase = { č: "c", ď: "d", ě: "e", ň: "n", ř: "r", š: "s", ť: "t", ž: "z" };
-  for (const ch of CARON_LETTERS) {
-    const g2 = caronEncoding === "g2" ? caronG2(ch) : null;
-    map.set(ch, { base: caronBase[ch], diacritic: DiacriticIndex.Caron, g2, useCompose: caronEncoding === "compose", caronDiacriticIndex });
-  }
-  const caronBaseUC = { Č: "C", Ď: "D", Ě: "E", Ň: "N", Ř: "R", Š: "S", Ť: "T", Ž: "Z" };
-  for (const ch of CARON_LETTERS_UC) {
-    const g2 = caronEncoding === "g2" ? caronG2(ch) : null;
-    map.set(ch, { base: caronBaseUC[ch], diacritic: DiacriticIndex.Caron, g2, useCompose: caronEncoding === "compose", caronDiacriticIndex });
+/**
+ * Enhancement for a caron letter per the caron options, or null to use the standard mapping.
+ * @returns {{ code: number, x26: { mode: number, data: number } } | null}
+ */
+function caronOverride(char, { caronEncoding = "compose", caronDiacriticIndex = Diacritic.Caron, g2Variant = "default" }) {
+  const i = CARON_LETTERS.indexOf(char);
+  const j = CARON_LETTERS_UC.indexOf(char);
+  if (i === -1 && j === -1) return null;
+  if (caronEncoding === "g2") {
+    const g2Set = G2_CARON_SETS[g2Variant] ?? G2_CARON_SETS.default;
+    // Space in the row so the decoder shows only the G2 character (no base+diacritic composite)
+    return { code: 0x20, x26: { mode: Mode.G2Character, data: i !== -1 ? g2Set.lower[i] : g2Set.upper[j] } };
   }
-  return map;
+  const base = char.normalize("NFD").charCodeAt(0);
+  const index = Math.max(1, Math.min(15, caronDiacriticIndex));
+  return { code: base, x26: { mode: Mode.DiacriticBase + (index - 1), data: base } };
 }
 
 /**
@@ -100,6 +64,7 @@ export function packEnhancement(mode, address, data) {
 
 /**
  * @param {Object} [opts]
+ * @param {string} [opts.nationalOption="english"] - G0 national option subset of the page; its characters are sent in the row
  * @param {"g2"|"compose"} [opts.caronEncoding="compose"] - "compose" = base + diacritic (mode 0x11+index); "g2" = precomposed G2 (mode 0x0F)
  * @param {number} [opts.caronDiacriticIndex=15] - G2 col 4 index for caron when caronEncoding="compose" (this decoder: 15)
  * @param {"default"|"alt1"|"alt2"|"iso88592"} [opts.g2Variant="default"] - which G2 7-bit code set when caronEncoding="g2"
@@ -107,10 +72,12 @@ export function packEnhancement(mode, address, data) {
 export default class X26Encoder {
   #enhancements = [];
   #packets;
-  #czechMap;
+  #nationalOption;
+  #caronOpts;
 
-  constructor(opts = {}) {
-    this.#czechMap = buildCzechMap(opts);
+  constructor({ nationalOption = "english", ...caronOpts } = {}) {
+    this.#nationalOption = nationalOption;
+    this.#caronOpts = caronOpts;
   }
 
   #encodeX26Packet(packetNumber, enhancements) {
@@ -146,23 +113,31 @@ export default class X26Encoder {
   return result;
 }
 
+  /**
+   * @param {string} str - row text
+   * @param {number} rowLocation - display row
+   * @returns {string} row with 7-bit codes only; characters sent via X/26 carry their base letter (or a space)
+   */
   encodeRow(str, rowLocation) {
     const row = Array.from(str);
     let firstEnhancement = true;
-    const czechMap = this.#czechMap;
 
     for (let col = 0; col < row.length; col++) {
       const char = row[col];
-      const entry = czechMap.get(char);
+      let entry = resolveCharacter(char, this.#nationalOption);
+
+      if (!entry) {
+        row[col] = "?";
+        continue;
+      }
+      if (entry.x26) entry = caronOverride(char, this.#caronOpts) ?? entry;
 
-      if (!entry) continue;
+      row[col] = String.fromCharCode(entry.code);
+      if (!entry.x26) continue;
 
       // ETS 300 706 12.3.2: row 24 = address 40, rows 1–23 = addresses 41–63
       const rowAddress = rowLocation === 24 ? 40 : (40 + rowLocation);
 
-      // For G2 precomposed, put space in the row so the decoder shows only the G2 character (no base+diacritic composite)
-      row[col] = (entry.g2 != null) ? " " : entry.base;
-
       if (firstEnhancement) {
         this.#enhancements.push({
           mode: Mode.SetActivePosition,
@@ -172,22 +147,7 @@ export default class X26Encoder {
         firstEnhancement = false;
       }
 
-      if (entry.useCompose) {
-        const idx = entry.caronDiacriticIndex ?? entry.diacritic;
-        this.#enhancements.push({
-          mode: Mode.DiacriticBase + (idx - 1),
-          address: col,
-          data: entry.base.charCodeAt(0) & 0x7f
-        });
-      } else if (entry.g2 != null) {
-        this.#enhancements.push({ mode: Mode.G2Character, address: col, data: entry.g2 & 0x7f });
-      } else {
-        this.#enhancements.push({
-          mode: Mode.DiacriticBase + (entry.diacritic - 1),
-          address: col,
-          data: entry.base.charCodeAt(0) & 0x7f
-        });
-      }
+      this.#enhancements.push({ mode: entry.x26.mode, address: col, data: entry.x26.data & 0x7f });
     }
 
     return row.join("");
@@ -206,4 +166,15 @@ export default class X26Encoder {
 
     return this.#packets;
   }
+
+  /**
+   * Enhancement packets, padded with packets holding only termination markers up to `count` packets.
+   * A page updated without erase keeps the X/26 packets it is not sent again, so these replace every packet sent before.
+   * @param {number} count - X/26 packets the decoder may still hold for the page
+   */
+  paddedEnhancementPackets(count) {
+    const packets = [...this.enhancementPackets];
+    for (let i = packets.length; i < count; i++) packets.push(this.#encodeX26Packet(i, []));
+    return packets;
+  }
 }